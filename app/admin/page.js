@@ -0,0 +1,14 @@
+import AdminPanel from "@/components/AdminPanel";
+
+export const metadata = {
+  title: "Admin | UMakeIt!",
+  robots: { index: false, follow: false },
+};
+
+export default function AdminPage() {
+  return (
+    <div className="min-h-screen w-full bg-black text-white px-4 py-16">
+      <AdminPanel />
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { isAdminRequest } from "@/lib/adminAuth";
+import { blockAccount, listBlocked, unblockAccount } from "@/lib/profileStore";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const blocked = await listBlocked();
+    return NextResponse.json({ blocked });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+// Block `{ provider, username }` and remove their profiles from the wall
+export async function POST(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  if (typeof body?.username !== "string") {
+    return NextResponse.json(
+      { error: "A provider and username are required" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const key = await blockAccount(body.provider, body.username.trim());
+    return NextResponse.json({ key }, { status: 201 });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+export async function DELETE(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const key = request.nextUrl.searchParams.get("key");
+  if (!key) {
+    return NextResponse.json({ error: "Missing blocked key" }, { status: 400 });
+  }
+
+  try {
+    await unblockAccount(key);
+    return NextResponse.json({ key });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
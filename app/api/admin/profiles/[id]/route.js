@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import { isAdminRequest } from "@/lib/adminAuth";
+import { deleteAvatarUpload } from "@/lib/avatarUploads";
+import { removeProfile, updateProfile } from "@/lib/profileStore";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Approve, reject, pin, re-role or weight a profile
+export async function PATCH(request, { params }) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const { id } = await params;
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  try {
+    const profile = await updateProfile(id, {
+      status: body?.status,
+      pinned: body?.pinned,
+      role: body?.role,
+      weight: body?.weight,
+    });
+    return NextResponse.json({ profile });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+export async function DELETE(request, { params }) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const { id } = await params;
+  try {
+    const profile = await removeProfile(id);
+    await deleteAvatarUpload(profile.avatarUpload);
+    return NextResponse.json({ profile });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { isAdminRequest } from "@/lib/adminAuth";
+import { listProfiles, reorderProfiles } from "@/lib/profileStore";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Every profile regardless of moderation status, in wall order
+export async function GET(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const profiles = await listProfiles({ status: "all" });
+    return NextResponse.json({ profiles });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+// Save the wall order as a list of profile ids, front to back
+export async function PUT(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  try {
+    const profiles = await reorderProfiles(body?.ids);
+    return NextResponse.json({ profiles });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
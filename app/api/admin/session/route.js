@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import {
+  ADMIN_COOKIE,
+  ADMIN_SESSION_MAX_AGE,
+  createAdminSession,
+  isAdminRequest,
+  isAdminToken,
+} from "@/lib/adminAuth";
+
+export const dynamic = "force-dynamic";
+
+// Report whether the current browser holds a valid admin session
+export async function GET(request) {
+  return NextResponse.json({ authenticated: isAdminRequest(request) });
+}
+
+// Trade the admin token for a session cookie
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  if (!isAdminToken(body?.token)) {
+    return NextResponse.json({ error: "Invalid admin token" }, { status: 401 });
+  }
+
+  const response = NextResponse.json({ authenticated: true });
+  response.cookies.set(ADMIN_COOKIE, createAdminSession(), {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+    maxAge: ADMIN_SESSION_MAX_AGE,
+  });
+  return response;
+}
+
+export async function DELETE() {
+  const response = NextResponse.json({ authenticated: false });
+  response.cookies.delete(ADMIN_COOKIE);
+  return response;
+}
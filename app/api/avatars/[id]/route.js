@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import { loadAvatar } from "@/lib/avatarCache";
+import { avatarSize, DEFAULT_AVATAR_SIZE } from "@/lib/avatars";
+import { getProfile } from "@/lib/profileStore";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+
+export const dynamic = "force-dynamic";
+
+// A profile's avatar (or its identicon) from our own origin, `?size=` pixels
+// square rounded up to one of the cached sizes
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const requested = Number(request.nextUrl.searchParams.get("size"));
+  const size = avatarSize(requested > 0 ? requested : DEFAULT_AVATAR_SIZE);
+
+  let profile;
+  try {
+    profile = await getProfile(id);
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+  if (!profile) {
+    return NextResponse.json({ error: "Profile not found" }, { status: 404 });
+  }
+
+  // Failures fall back to the identicon inside `loadAvatar`; this only
+  // catches the identicon itself failing to render
+  let avatar;
+  try {
+    avatar = await loadAvatar(profile, size);
+  } catch (err) {
+    console.error("Avatar rendering failed:", err);
+    return NextResponse.json(
+      { error: "Avatar is unavailable" },
+      { status: 500 }
+    );
+  }
+
+  const { body, contentType, generated } = avatar;
+  return new NextResponse(body, {
+    headers: {
+      "Content-Type": contentType,
+      // Identicons expire sooner so a real avatar replaces them once it
+      // can be fetched
+      "Cache-Control": `public, max-age=${generated ? 3600 : 86400}`,
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+}
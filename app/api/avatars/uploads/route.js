@@ -0,0 +1,72 @@
+import { NextResponse } from "next/server";
+import { saveAvatarUpload } from "@/lib/avatarUploads";
+import { MAX_AVATAR_UPLOAD_BYTES } from "@/lib/avatars";
+import { clientIp, createRateLimiter } from "@/lib/rateLimit";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Every upload lands on disk, so each address gets a small allowance
+const limiter = createRateLimiter({ capacity: 5, refillMs: 2 * 60 * 1000 });
+
+// Room for the multipart boundaries and headers around the file
+const MAX_BODY_BYTES = MAX_AVATAR_UPLOAD_BYTES + 64 * 1024;
+
+const tooLarge = () =>
+  NextResponse.json(
+    {
+      error: `Avatar must be at most ${MAX_AVATAR_UPLOAD_BYTES / 1024 / 1024} MB`,
+    },
+    { status: 413 }
+  );
+
+// The request body, or null once it grows past `limit` bytes. Chunked
+// uploads carry no Content-Length, so the size is counted as it arrives.
+const readBody = async (request, limit) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request.body ?? []) {
+    size += chunk.byteLength;
+    // Leaving the loop cancels the rest of the stream
+    if (size > limit) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Store a picture for a manual profile (multipart field `avatar`) and
+// answer with the `avatarUpload` id to submit with the profile
+export async function POST(request) {
+  const { allowed, retryAfter } = limiter.take(clientIp(request));
+  if (!allowed) {
+    return NextResponse.json(
+      { error: "Too many uploads from your network", retryAfter },
+      { status: 429, headers: { "Retry-After": String(retryAfter) } }
+    );
+  }
+
+  if (Number(request.headers.get("content-length")) > MAX_BODY_BYTES) {
+    return tooLarge();
+  }
+  const body = await readBody(request, MAX_BODY_BYTES);
+  if (!body) return tooLarge();
+
+  let form;
+  try {
+    form = await new Response(body, {
+      headers: { "Content-Type": request.headers.get("content-type") || "" },
+    }).formData();
+  } catch {
+    return NextResponse.json(
+      { error: "Expected a multipart form upload" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const avatarUpload = await saveAvatarUpload(form.get("avatar"));
+    return NextResponse.json({ avatarUpload }, { status: 201 });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
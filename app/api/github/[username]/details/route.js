@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { getGitHubUserDetails } from "@/lib/github";
+import { providerErrorResponse } from "@/lib/providers/errorResponse";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params }) {
+  const { username } = await params;
+
+  try {
+    const details = await getGitHubUserDetails(username);
+    return NextResponse.json(details, {
+      headers: { "Cache-Control": "private, max-age=300" },
+    });
+  } catch (err) {
+    return providerErrorResponse(err);
+  }
+}
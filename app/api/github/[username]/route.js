@@ -0,0 +1,18 @@
+import { NextResponse } from "next/server";
+import { getGitHubUser } from "@/lib/github";
+import { providerErrorResponse } from "@/lib/providers/errorResponse";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params }) {
+  const { username } = await params;
+
+  try {
+    const profile = await getGitHubUser(username);
+    return NextResponse.json(profile, {
+      headers: { "Cache-Control": "private, max-age=60" },
+    });
+  } catch (err) {
+    return providerErrorResponse(err);
+  }
+}
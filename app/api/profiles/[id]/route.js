@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { deleteAvatarUpload } from "@/lib/avatarUploads";
+import {
+  editOwnProfile,
+  getOwnProfile,
+  removeOwnProfile,
+} from "@/lib/profileStore";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Contributors manage their own entry with the edit token they were given
+// on submission, sent as `Authorization: Bearer <token>`
+const editTokenOf = (request) => {
+  const [scheme, token] = (request.headers.get("authorization") || "").split(
+    " "
+  );
+  return scheme === "Bearer" ? token : undefined;
+};
+
+export async function GET(request, { params }) {
+  const { id } = await params;
+  try {
+    const profile = await getOwnProfile(id, editTokenOf(request));
+    return NextResponse.json(
+      { profile },
+      { headers: { "Cache-Control": "no-store" } }
+    );
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+// Change the display name, tagline or role
+export async function PATCH(request, { params }) {
+  const { id } = await params;
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  try {
+    const profile = await editOwnProfile(id, editTokenOf(request), {
+      name: body?.name,
+      tagline: body?.tagline,
+      role: body?.role,
+    });
+    return NextResponse.json({ profile });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+export async function DELETE(request, { params }) {
+  const { id } = await params;
+  try {
+    const profile = await removeOwnProfile(id, editTokenOf(request));
+    await deleteAvatarUpload(profile.avatarUpload);
+    return NextResponse.json({ profile });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
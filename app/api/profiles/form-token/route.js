@@ -0,0 +1,13 @@
+import { NextResponse } from "next/server";
+import { createFormToken } from "@/lib/submissionGuard";
+
+export const dynamic = "force-dynamic";
+
+// Handed out when the add form opens; the submission sends it back so the
+// server can tell how long the form was open
+export async function GET() {
+  return NextResponse.json(
+    { token: createFormToken() },
+    { headers: { "Cache-Control": "no-store" } }
+  );
+}
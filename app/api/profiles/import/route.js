@@ -0,0 +1,43 @@
+import { NextResponse } from "next/server";
+import { isAdminRequest } from "@/lib/adminAuth";
+import { importProfiles } from "@/lib/importProfiles";
+import { providerErrorResponse } from "@/lib/providers/errorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Large repositories take a while to page through and resolve
+export const maxDuration = 60;
+
+/**
+ * Bulk import contributors (admin only).
+ *
+ * Accepts either a `text/csv` body, or JSON with any of:
+ * `{ provider, usernames: [...], csv: "...", repo: "owner/repo", org: "name" }`
+ */
+export async function POST(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  let source;
+  const contentType = request.headers.get("content-type") || "";
+  try {
+    source = contentType.includes("text/csv")
+      ? {
+          csv: await request.text(),
+          provider: request.nextUrl.searchParams.get("provider"),
+        }
+      : await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid request body" }, { status: 400 });
+  }
+
+  try {
+    const result = await importProfiles(source || {});
+    return NextResponse.json(result, {
+      status: result.added.length > 0 ? 201 : 200,
+    });
+  } catch (err) {
+    return providerErrorResponse(err);
+  }
+}
@@ -0,0 +1,88 @@
+import { NextResponse } from "next/server";
+import { isAdminRequest } from "@/lib/adminAuth";
+import { deleteAvatarUpload } from "@/lib/avatarUploads";
+import { resolveSubmission } from "@/lib/profileSubmission";
+import { addProfile, listProfiles, removeProfile } from "@/lib/profileStore";
+import { ProviderError } from "@/lib/providers";
+import { providerErrorResponse } from "@/lib/providers/errorResponse";
+import { storeErrorResponse } from "@/lib/storeErrorResponse";
+import {
+  checkSubmission,
+  SubmissionError,
+  submissionErrorResponse,
+} from "@/lib/submissionGuard";
+
+// Profiles change at runtime, never serve a build-time snapshot
+export const dynamic = "force-dynamic";
+
+// Only approved profiles are public
+export async function GET() {
+  try {
+    const profiles = await listProfiles();
+    return NextResponse.json({ profiles });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
+
+// Submissions pass the spam checks, are looked up with their provider,
+// then wait in the moderation queue until an admin approves them
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  // Submissions the store or provider turn down don't count against the
+  // submitter's limit
+  let release = () => {};
+  if (!isAdminRequest(request)) {
+    try {
+      release = checkSubmission(request, body);
+    } catch (err) {
+      if (err instanceof SubmissionError) return submissionErrorResponse(err);
+      throw err;
+    }
+  }
+
+  let input;
+  try {
+    input = await resolveSubmission(body);
+  } catch (err) {
+    release();
+    if (err instanceof ProviderError) return providerErrorResponse(err);
+    throw err;
+  }
+
+  try {
+    const { profile, editToken } = await addProfile(input);
+    return NextResponse.json({ profile, editToken }, { status: 201 });
+  } catch (err) {
+    release();
+    return storeErrorResponse(err);
+  }
+}
+
+export async function DELETE(request) {
+  if (!isAdminRequest(request)) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const id = request.nextUrl.searchParams.get("id");
+  if (!id) {
+    return NextResponse.json(
+      { error: "Missing profile id" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const profile = await removeProfile(id);
+    await deleteAvatarUpload(profile.avatarUpload);
+    return NextResponse.json({ profile });
+  } catch (err) {
+    return storeErrorResponse(err);
+  }
+}
@@ -0,0 +1,104 @@
+import {
+  eventsSince,
+  latestEventId,
+  subscribeProfileEvents,
+} from "@/lib/profileEvents";
+import { listProfiles } from "@/lib/profileStore";
+
+export const dynamic = "force-dynamic";
+
+// Comment lines keep proxies from closing an idle connection
+const HEARTBEAT_MS = 25000;
+// How long browsers wait before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+const encoder = new TextEncoder();
+
+const formatEvent = ({ id, type, data }) =>
+  encoder.encode(
+    `${id ? `id: ${id}\n` : ""}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+  );
+
+/**
+ * Server-Sent Events stream of changes to the public wall.
+ *
+ * A new connection first gets a `snapshot` of every approved profile. A
+ * reconnecting client (sending `Last-Event-ID`) gets the `added`, `updated`
+ * and `removed` events it missed instead, or a fresh snapshot when they are
+ * no longer available.
+ */
+export async function GET(request) {
+  const { signal } = request;
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) => {
+        try {
+          controller.enqueue(formatEvent(event));
+        } catch {
+          cleanup();
+        }
+      };
+
+      // Listen before catching up so nothing published meanwhile is lost;
+      // clients ignore an event they have already applied
+      const pending = [];
+      let caughtUp = false;
+      const unsubscribe = subscribeProfileEvents((event) => {
+        const message = { id: event.id, type: event.type, data: event.profile };
+        if (caughtUp) send(message);
+        else pending.push(message);
+      });
+      const heartbeat = setInterval(() => {
+        try {
+          controller.enqueue(encoder.encode(": heartbeat\n\n"));
+        } catch {
+          cleanup();
+        }
+      }, HEARTBEAT_MS);
+
+      cleanup = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        signal.removeEventListener("abort", cleanup);
+      };
+      signal.addEventListener("abort", cleanup);
+
+      controller.enqueue(encoder.encode(`retry: ${RETRY_MS}\n\n`));
+
+      const missed = eventsSince(request.headers.get("last-event-id"));
+      if (missed) {
+        missed.forEach((event) =>
+          send({ id: event.id, type: event.type, data: event.profile })
+        );
+      } else {
+        const snapshotId = latestEventId();
+        try {
+          const profiles = await listProfiles();
+          send({ id: snapshotId, type: "snapshot", data: profiles });
+        } catch (err) {
+          console.error("Profile stream error:", err);
+          cleanup();
+          controller.close();
+          return;
+        }
+      }
+
+      caughtUp = true;
+      pending.forEach(send);
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
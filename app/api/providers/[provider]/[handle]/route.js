@@ -0,0 +1,33 @@
+import { NextResponse } from "next/server";
+import { resolveProfile } from "@/lib/providers";
+import { providerErrorResponse } from "@/lib/providers/errorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Handles arrive percent-encoded; fall back to the raw segment if it isn't
+const decodeHandle = (handle) => {
+  try {
+    return decodeURIComponent(handle);
+  } catch {
+    return handle;
+  }
+};
+
+export async function GET(request, { params }) {
+  const { provider, handle } = await params;
+  if (provider === "gravatar") {
+    return NextResponse.json(
+      { error: "Look up Gravatar emails with POST /api/providers/gravatar" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const profile = await resolveProfile(provider, decodeHandle(handle));
+    return NextResponse.json(profile, {
+      headers: { "Cache-Control": "private, max-age=60" },
+    });
+  } catch (err) {
+    return providerErrorResponse(err);
+  }
+}
@@ -0,0 +1,28 @@
+import { NextResponse } from "next/server";
+import { resolveProfile } from "@/lib/providers";
+import { providerErrorResponse } from "@/lib/providers/errorResponse";
+
+export const dynamic = "force-dynamic";
+
+// Look up `{ handle }` from the body. Gravatar handles are email
+// addresses, which shouldn't sit in URLs and the logs and history they
+// end up in
+export async function POST(request, { params }) {
+  const { provider } = await params;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+  }
+
+  try {
+    const profile = await resolveProfile(provider, body?.handle);
+    return NextResponse.json(profile, {
+      headers: { "Cache-Control": "no-store" },
+    });
+  } catch (err) {
+    return providerErrorResponse(err);
+  }
+}
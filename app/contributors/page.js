@@ -0,0 +1,60 @@
+import ContributorsTable from "@/components/ContributorsTable";
+import GooeyNav from "@/components/GooeyNav";
+import {
+  parseContributorQuery,
+  queryContributors,
+} from "@/lib/contributorQuery";
+import { NAV_ITEMS, navIndex } from "@/lib/navigation";
+import { listProfiles } from "@/lib/profileStore";
+
+export const metadata = {
+  title: "Contributors | UMakeIt!",
+  description: "Everyone on the UMakeIt! contributor wall.",
+};
+
+// Same store as the physics wall, read fresh on every request
+export const dynamic = "force-dynamic";
+
+export default async function ContributorsPage({ searchParams }) {
+  const query = parseContributorQuery(await searchParams);
+  // A store read error gets a notice in place of the table
+  const profiles = await listProfiles().catch((err) => {
+    console.error(err);
+    return null;
+  });
+  const result = profiles && queryContributors(profiles, query);
+
+  return (
+    <div className="min-h-screen w-full bg-black text-white">
+      <GooeyNav
+        items={NAV_ITEMS}
+        particleCount={15}
+        particleDistances={[90, 10]}
+        particleR={100}
+        initialActiveIndex={navIndex("/contributors")}
+        animationTime={600}
+        timeVariance={300}
+        colors={[1, 2, 3, 1, 2, 3, 1, 4]}
+      />
+      <main className="mx-auto max-w-4xl px-4 pt-32 pb-16 space-y-8">
+        <h1 className="text-4xl font-black text-center bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+          Contributors
+        </h1>
+        {result ? (
+          <ContributorsTable
+            {...result}
+            query={{ ...query, page: result.page }}
+          />
+        ) : (
+          <p
+            role="alert"
+            className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3"
+          >
+            The contributor list couldn&apos;t be loaded. Please try again
+            later.
+          </p>
+        )}
+      </main>
+    </div>
+  );
+}
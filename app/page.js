@@ -2,13 +2,19 @@ import CurvedLoop from "@/components/CurvedLoop";
 import GooeyNav from "@/components/GooeyNav";
 import ProfileContainer from "@/components/ProfileContainer";
 import TextPressure from "@/components/TextPressure";
+import { NAV_ITEMS } from "@/lib/navigation";
+import { listProfiles } from "@/lib/profileStore";
+
+// The contributor list is rendered into the HTML, so it must be current
+export const dynamic = "force-dynamic";
+
+export default async function Home() {
+  // If the store can't be read the wall loads the list itself instead
+  const profiles = await listProfiles().catch((err) => {
+    console.error(err);
+    return undefined;
+  });
 
-const items = [
-  { label: "Home", href: "#" },
-  { label: "About", href: "#" },
-  { label: "Contact", href: "#" },
-];
-export default function Home() {
   return (
     <div className="min-h-screen w-full bg-black relative">
       {/* Dark Noise Colored Background */}
@@ -27,7 +33,7 @@ export default function Home() {
       />
       {/* Your Content/Components */}
       <GooeyNav
-        items={items}
+        items={NAV_ITEMS}
         particleCount={15}
         particleDistances={[90, 10]}
         particleR={100}
@@ -52,7 +58,7 @@ export default function Home() {
           />
         </div>
       </div>
-      <ProfileContainer />
+      <ProfileContainer initialProfiles={profiles} />
       <CurvedLoop
         marqueeText="Go ✦ Bonkers ✦ With ✦ UMakeIt! ✦"
         speed={3}
@@ -0,0 +1,448 @@
+"use client";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ArrowDown,
+  ArrowUp,
+  Ban,
+  Check,
+  LogOut,
+  Pin,
+  PinOff,
+  Scale,
+  Trash2,
+  X,
+} from "lucide-react";
+import ProviderIcon from "./ProviderIcon";
+import { avatarSrc } from "@/lib/avatars";
+import { DEFAULT_ROLE, ROLES, getRole } from "@/lib/roles";
+
+const TABS = [
+  { id: "pending", label: "Pending" },
+  { id: "approved", label: "Approved" },
+  { id: "rejected", label: "Rejected" },
+  { id: "blocked", label: "Blocked" },
+];
+
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: options.body ? { "Content-Type": "application/json" } : undefined,
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(data.error || "Request failed");
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+const ActionButton = ({ onClick, label, className = "", children }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    title={label}
+    aria-label={label}
+    className={`p-2 rounded-lg bg-gray-800/50 border border-gray-700 text-gray-300 hover:text-white transition-colors duration-200 ${className}`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * AdminPanel Component
+ *
+ * Moderation screen for the contributor wall. Lists submissions by status
+ * and lets an admin approve, reject, delete, block, pin and reorder them.
+ * Access is granted by exchanging the `ADMIN_TOKEN` for a session cookie.
+ */
+const AdminPanel = () => {
+  const [authenticated, setAuthenticated] = useState(null);
+  const [token, setToken] = useState("");
+  const [activeTab, setActiveTab] = useState("pending");
+  const [profiles, setProfiles] = useState([]);
+  const [blocked, setBlocked] = useState([]);
+  const [error, setError] = useState("");
+
+  const loadData = useCallback(async () => {
+    try {
+      const [profileData, blockedData] = await Promise.all([
+        requestJson("/api/admin/profiles"),
+        requestJson("/api/admin/blocked"),
+      ]);
+      setProfiles(profileData.profiles);
+      setBlocked(blockedData.blocked);
+      setAuthenticated(true);
+    } catch (err) {
+      if (err.status === 401) {
+        setAuthenticated(false);
+      } else {
+        setError(err.message);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  // Run an admin action, then refresh so the lists match the store
+  const runAction = async (action) => {
+    setError("");
+    try {
+      await action();
+      await loadData();
+    } catch (err) {
+      setError(err.message);
+      if (err.status === 401) setAuthenticated(false);
+    }
+  };
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await requestJson("/api/admin/session", {
+        method: "POST",
+        body: JSON.stringify({ token }),
+      });
+      setToken("");
+      await loadData();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleLogout = () =>
+    runAction(() => requestJson("/api/admin/session", { method: "DELETE" }));
+
+  const setStatus = (profile, status) =>
+    runAction(() =>
+      requestJson(`/api/admin/profiles/${profile.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ status }),
+      })
+    );
+
+  const togglePinned = (profile) =>
+    runAction(() =>
+      requestJson(`/api/admin/profiles/${profile.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ pinned: !profile.pinned }),
+      })
+    );
+
+  const setRole = (profile, role) =>
+    runAction(() =>
+      requestJson(`/api/admin/profiles/${profile.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ role }),
+      })
+    );
+
+  // Manual bubble weight; an empty answer clears it
+  const setWeight = (profile) => {
+    const answer = window.prompt(
+      `Bubble weight for ${profile.name} (leave empty to clear)`,
+      profile.weight ?? ""
+    );
+    if (answer === null) return;
+    const weight = answer.trim() === "" ? null : Number(answer);
+    if (Number.isNaN(weight)) {
+      setError("Weight must be a number");
+      return;
+    }
+    runAction(() =>
+      requestJson(`/api/admin/profiles/${profile.id}`, {
+        method: "PATCH",
+        body: JSON.stringify({ weight }),
+      })
+    );
+  };
+
+  const deleteProfile = (profile) => {
+    if (!window.confirm(`Delete ${profile.name} from the wall?`)) return;
+    runAction(() =>
+      requestJson(`/api/admin/profiles/${profile.id}`, { method: "DELETE" })
+    );
+  };
+
+  const blockProfile = (profile) => {
+    if (
+      !window.confirm(
+        `Block ${profile.provider}:${profile.username}? Their profile will be removed.`
+      )
+    ) {
+      return;
+    }
+    runAction(() =>
+      requestJson("/api/admin/blocked", {
+        method: "POST",
+        body: JSON.stringify({
+          provider: profile.provider,
+          username: profile.username,
+        }),
+      })
+    );
+  };
+
+  const unblock = (key) =>
+    runAction(() =>
+      requestJson(`/api/admin/blocked?key=${encodeURIComponent(key)}`, {
+        method: "DELETE",
+      })
+    );
+
+  const approved = profiles.filter((profile) => profile.status === "approved");
+
+  // Swap a profile with its neighbour and save the whole approved order
+  const moveProfile = (profile, offset) => {
+    const ids = approved.map((entry) => entry.id);
+    const index = ids.indexOf(profile.id);
+    const target = index + offset;
+    if (target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    runAction(() =>
+      requestJson("/api/admin/profiles", {
+        method: "PUT",
+        body: JSON.stringify({ ids }),
+      })
+    );
+  };
+
+  if (authenticated === null) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  if (!authenticated) {
+    return (
+      <form
+        onSubmit={handleLogin}
+        className="mx-auto max-w-sm space-y-4 rounded-2xl border border-white/20 bg-gray-900/50 p-6"
+      >
+        <h1 className="text-2xl font-bold text-center bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+          Admin Login
+        </h1>
+        <div>
+          <label
+            htmlFor="token"
+            className="block text-sm font-medium text-gray-300 mb-2"
+          >
+            Admin Token
+          </label>
+          <input
+            type="password"
+            id="token"
+            value={token}
+            onChange={(e) => setToken(e.target.value)}
+            className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+            required
+          />
+        </div>
+        {error && (
+          <div className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3">
+            {error}
+          </div>
+        )}
+        <button
+          type="submit"
+          className="w-full px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200"
+        >
+          Log In
+        </button>
+      </form>
+    );
+  }
+
+  const visibleProfiles = profiles.filter(
+    (profile) => profile.status === activeTab
+  );
+
+  return (
+    <div className="mx-auto max-w-3xl space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-3xl font-black">Contributor Wall Admin</h1>
+        <ActionButton onClick={handleLogout} label="Log out">
+          <LogOut size={16} />
+        </ActionButton>
+      </div>
+
+      <div role="tablist" className="flex gap-2">
+        {TABS.map((tab) => {
+          const count =
+            tab.id === "blocked"
+              ? blocked.length
+              : profiles.filter((profile) => profile.status === tab.id).length;
+          return (
+            <button
+              key={tab.id}
+              type="button"
+              role="tab"
+              aria-selected={activeTab === tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 text-sm rounded-lg border transition-colors duration-200 ${
+                activeTab === tab.id
+                  ? "border-blue-500 bg-blue-500/20 text-white"
+                  : "border-gray-700 bg-gray-800/50 text-gray-400 hover:text-white"
+              }`}
+            >
+              {tab.label} ({count})
+            </button>
+          );
+        })}
+      </div>
+
+      {error && (
+        <div className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3">
+          {error}
+        </div>
+      )}
+
+      {activeTab === "blocked" ? (
+        <ul className="space-y-2">
+          {blocked.length === 0 && (
+            <li className="text-gray-400">No blocked accounts.</li>
+          )}
+          {blocked.map((key) => (
+            <li
+              key={key}
+              className="flex items-center justify-between rounded-lg border border-gray-700 bg-gray-900/50 px-4 py-3"
+            >
+              <span className="font-mono text-sm">{key}</span>
+              <button
+                type="button"
+                onClick={() => unblock(key)}
+                className="text-sm text-gray-400 hover:text-white transition-colors"
+              >
+                Unblock
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <ul className="space-y-2">
+          {visibleProfiles.length === 0 && (
+            <li className="text-gray-400">Nothing here.</li>
+          )}
+          {visibleProfiles.map((profile, index) => (
+            <li
+              key={profile.id}
+              className="flex items-center gap-3 rounded-lg border border-gray-700 bg-gray-900/50 px-4 py-3"
+            >
+              <img
+                src={avatarSrc(profile, 40)}
+                alt=""
+                className="w-10 h-10 rounded-full object-cover border-2"
+                style={{ borderColor: getRole(profile.role).color }}
+              />
+              <div className="flex flex-col flex-1 min-w-0">
+                <span className="font-semibold truncate">
+                  {profile.name}
+                  {profile.pinned && (
+                    <Pin
+                      size={14}
+                      className="inline-block ml-2 text-yellow-400"
+                    />
+                  )}
+                </span>
+                <span className="flex items-center gap-1 text-xs text-gray-400">
+                  <ProviderIcon provider={profile.provider} size={12} />
+                  {profile.username || "manual entry"}
+                </span>
+              </div>
+
+              <select
+                value={profile.role || DEFAULT_ROLE}
+                onChange={(e) => setRole(profile, e.target.value)}
+                aria-label={`Role for ${profile.name}`}
+                className="px-2 py-2 text-sm bg-gray-800/50 border border-gray-700 rounded-lg text-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {ROLES.map((role) => (
+                  <option key={role.id} value={role.id}>
+                    {role.label}
+                  </option>
+                ))}
+              </select>
+
+              {profile.status === "approved" && (
+                <>
+                  <ActionButton
+                    onClick={() => moveProfile(profile, -1)}
+                    label="Move up"
+                    className={index === 0 ? "invisible" : ""}
+                  >
+                    <ArrowUp size={16} />
+                  </ActionButton>
+                  <ActionButton
+                    onClick={() => moveProfile(profile, 1)}
+                    label="Move down"
+                    className={
+                      index === visibleProfiles.length - 1 ? "invisible" : ""
+                    }
+                  >
+                    <ArrowDown size={16} />
+                  </ActionButton>
+                  <ActionButton
+                    onClick={() => togglePinned(profile)}
+                    label={profile.pinned ? "Unpin" : "Pin as featured"}
+                  >
+                    {profile.pinned ? <PinOff size={16} /> : <Pin size={16} />}
+                  </ActionButton>
+                  <ActionButton
+                    onClick={() => setWeight(profile)}
+                    label={
+                      profile.weight !== undefined
+                        ? `Weight ${profile.weight}`
+                        : "Set weight"
+                    }
+                  >
+                    <Scale size={16} />
+                  </ActionButton>
+                </>
+              )}
+              {profile.status !== "approved" && (
+                <ActionButton
+                  onClick={() => setStatus(profile, "approved")}
+                  label="Approve"
+                  className="hover:border-green-500"
+                >
+                  <Check size={16} />
+                </ActionButton>
+              )}
+              {profile.status !== "rejected" && (
+                <ActionButton
+                  onClick={() => setStatus(profile, "rejected")}
+                  label="Reject"
+                >
+                  <X size={16} />
+                </ActionButton>
+              )}
+              {profile.username && (
+                <ActionButton
+                  onClick={() => blockProfile(profile)}
+                  label="Block account"
+                  className="hover:border-red-500"
+                >
+                  <Ban size={16} />
+                </ActionButton>
+              )}
+              <ActionButton
+                onClick={() => deleteProfile(profile)}
+                label="Delete"
+                className="hover:border-red-500"
+              >
+                <Trash2 size={16} />
+              </ActionButton>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
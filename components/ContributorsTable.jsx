@@ -0,0 +1,225 @@
+import Link from "next/link";
+import { ArrowDown, ArrowUp, ChevronLeft, ChevronRight } from "lucide-react";
+import ProviderIcon from "./ProviderIcon";
+import { avatarSrc } from "@/lib/avatars";
+import { getRole } from "@/lib/roles";
+
+const COLUMNS = [
+  { sort: "name", label: "Name" },
+  { sort: null, label: "Profile" },
+  { sort: "role", label: "Role" },
+  { sort: "added", label: "Added" },
+];
+
+// Link to the same list with some query parameters changed
+const hrefFor = (query, changes) => {
+  const params = new URLSearchParams();
+  const next = { ...query, ...changes };
+  if (next.q) params.set("q", next.q);
+  if (next.sort && next.sort !== "name") params.set("sort", next.sort);
+  if (next.dir) params.set("dir", next.dir);
+  if (next.page > 1) params.set("page", String(next.page));
+  const search = params.toString();
+  return search ? `/contributors?${search}` : "/contributors";
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString("en-US", { dateStyle: "medium" });
+
+/**
+ * ContributorsTable Component
+ *
+ * Server-rendered table for the /contributors page. Searching, sorting
+ * and paging are plain links and a GET form, so the list works (and can be
+ * crawled) without any client JavaScript.
+ */
+const ContributorsTable = ({ profiles, total, page, pageCount, query }) => (
+  <div className="space-y-6">
+    <form
+      action="/contributors"
+      method="get"
+      role="search"
+      className="flex gap-2"
+    >
+      <label htmlFor="contributor-search" className="sr-only">
+        Search contributors
+      </label>
+      <input
+        type="search"
+        id="contributor-search"
+        name="q"
+        defaultValue={query.q}
+        placeholder="Search by name, username or role"
+        className="flex-1 px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+      />
+      {query.sort !== "name" && (
+        <input type="hidden" name="sort" value={query.sort} />
+      )}
+      <input type="hidden" name="dir" value={query.dir} />
+      <button
+        type="submit"
+        className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200"
+      >
+        Search
+      </button>
+    </form>
+
+    <p className="text-sm text-gray-400" aria-live="polite">
+      {total === 1 ? "1 contributor" : `${total} contributors`}
+      {query.q && ` matching "${query.q}"`}
+    </p>
+
+    <div className="overflow-x-auto rounded-2xl border border-gray-700">
+      <table className="w-full text-left text-sm">
+        <thead className="bg-gray-900/80 text-gray-300">
+          <tr>
+            {COLUMNS.map((column) => {
+              const active = column.sort === query.sort;
+              return (
+                <th
+                  key={column.label}
+                  scope="col"
+                  className="px-4 py-3 font-semibold"
+                  aria-sort={
+                    active
+                      ? query.dir === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : undefined
+                  }
+                >
+                  {column.sort ? (
+                    <Link
+                      href={hrefFor(query, {
+                        sort: column.sort,
+                        dir: active
+                          ? query.dir === "asc"
+                            ? "desc"
+                            : "asc"
+                          : undefined,
+                        page: 1,
+                      })}
+                      className="inline-flex items-center gap-1 hover:text-white transition-colors"
+                    >
+                      {column.label}
+                      {active &&
+                        (query.dir === "asc" ? (
+                          <ArrowUp size={14} />
+                        ) : (
+                          <ArrowDown size={14} />
+                        ))}
+                    </Link>
+                  ) : (
+                    column.label
+                  )}
+                </th>
+              );
+            })}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-800">
+          {profiles.length === 0 && (
+            <tr>
+              <td colSpan={COLUMNS.length} className="px-4 py-8 text-center">
+                No contributors found.
+              </td>
+            </tr>
+          )}
+          {profiles.map((profile) => {
+            const role = getRole(profile.role);
+            return (
+              <tr key={profile.id} className="bg-gray-900/40">
+                <td className="px-4 py-3">
+                  <div className="flex items-center gap-3">
+                    <img
+                      src={avatarSrc(profile, 40)}
+                      alt=""
+                      loading="lazy"
+                      className="w-10 h-10 rounded-full object-cover border-2"
+                      style={{ borderColor: role.color }}
+                    />
+                    {profile.profileUrl ? (
+                      <a
+                        href={profile.profileUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-semibold text-white hover:text-blue-400 transition-colors"
+                      >
+                        {profile.name}
+                      </a>
+                    ) : (
+                      <span className="font-semibold text-white">
+                        {profile.name}
+                      </span>
+                    )}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-gray-400">
+                  <span className="flex items-center gap-1">
+                    <ProviderIcon
+                      provider={profile.provider}
+                      size={14}
+                      aria-hidden="true"
+                    />
+                    {profile.username || "manual entry"}
+                  </span>
+                </td>
+                <td className="px-4 py-3">
+                  <span className="flex items-center gap-2 text-gray-300">
+                    <span
+                      className="w-3 h-3 rounded-full border-2"
+                      style={{ borderColor: role.color }}
+                    />
+                    {role.label}
+                  </span>
+                </td>
+                <td className="px-4 py-3 text-gray-400">
+                  <time dateTime={profile.createdAt}>
+                    {formatDate(profile.createdAt)}
+                  </time>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+
+    {pageCount > 1 && (
+      <nav
+        aria-label="Pagination"
+        className="flex items-center justify-center gap-4 text-sm text-gray-300"
+      >
+        {page > 1 ? (
+          <Link
+            href={hrefFor(query, { page: page - 1 })}
+            className="inline-flex items-center gap-1 hover:text-white transition-colors"
+          >
+            <ChevronLeft size={16} /> Previous
+          </Link>
+        ) : (
+          <span className="inline-flex items-center gap-1 text-gray-600">
+            <ChevronLeft size={16} /> Previous
+          </span>
+        )}
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        {page < pageCount ? (
+          <Link
+            href={hrefFor(query, { page: page + 1 })}
+            className="inline-flex items-center gap-1 hover:text-white transition-colors"
+          >
+            Next <ChevronRight size={16} />
+          </Link>
+        ) : (
+          <span className="inline-flex items-center gap-1 text-gray-600">
+            Next <ChevronRight size={16} />
+          </span>
+        )}
+      </nav>
+    )}
+  </div>
+);
+
+export default ContributorsTable;
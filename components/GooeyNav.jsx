@@ -106,7 +106,8 @@ const GooeyNav = ({
   };
   const handleKeyDown = (e, index) => {
     if (e.key === "Enter" || e.key === " ") {
-      e.preventDefault();
+      // Enter still follows the link; Space would only scroll the page
+      if (e.key === " ") e.preventDefault();
       const liEl = e.currentTarget.parentElement;
       if (liEl) {
         handleClick({ currentTarget: liEl }, index);
@@ -0,0 +1,63 @@
+import { Bomb, Magnet, PartyPopper } from "lucide-react";
+
+export const PLAY_MODES = [
+  { id: "explode", label: "Explode", Icon: Bomb },
+  { id: "magnet", label: "Magnet", Icon: Magnet },
+  { id: "confetti", label: "Confetti", Icon: PartyPopper },
+];
+
+export const PLAY_MODE_IDS = PLAY_MODES.map((mode) => mode.id);
+
+const hintFor = (id, magnetKey) => {
+  if (id === "explode") return "double-click the wall";
+  if (id === "magnet") return `hold ${magnetKey.toUpperCase()}`;
+  return "click an empty spot";
+};
+
+/**
+ * PlayModeToggle Component
+ *
+ * In-wall switches for the physics play modes. Only the modes listed in
+ * `modes` are offered; `active` holds the ones currently switched on.
+ * `ref` reaches the group element.
+ */
+const PlayModeToggle = ({
+  modes,
+  active,
+  onToggle,
+  magnetKey,
+  className,
+  ref,
+}) => (
+  <div
+    ref={ref}
+    role="group"
+    aria-label="Play modes"
+    className={`flex gap-2 ${className}`}
+  >
+    {PLAY_MODES.filter((mode) => modes.includes(mode.id)).map(
+      ({ id, label, Icon }) => {
+        const title = `${label}: ${hintFor(id, magnetKey)}`;
+        return (
+          <button
+            key={id}
+            type="button"
+            aria-pressed={active.includes(id)}
+            aria-label={title}
+            title={title}
+            onClick={() => onToggle(id)}
+            className={`p-2 rounded-lg border transition-colors duration-200 ${
+              active.includes(id)
+                ? "border-blue-500 bg-blue-500/20 text-white"
+                : "border-gray-700 bg-gray-800/50 text-gray-400 hover:text-white"
+            }`}
+          >
+            <Icon size={16} />
+          </button>
+        );
+      }
+    )}
+  </div>
+);
+
+export default PlayModeToggle;
@@ -0,0 +1,152 @@
+"use client";
+import { useEffect, useRef } from "react";
+import { ExternalLink } from "lucide-react";
+import ProviderIcon from "./ProviderIcon";
+import { avatarSrc } from "@/lib/avatars";
+import { getRole } from "@/lib/roles";
+
+// Matter's Mouse listens natively on the container, so React's delegated
+// handlers fire too late to keep a press on a link from starting a drag
+const stopDrag = (e) => e.stopPropagation();
+
+/**
+ * ProfileCard Component
+ *
+ * A single contributor card on the physics wall. The card only renders
+ * markup; ProfileContainer positions it by writing `left`, `top` and
+ * `transform` on the `.profile-item` element every frame. A `leaving` card
+ * has already lost its physics body and is fading out.
+ *
+ * The avatar comes from the same-origin avatar route, which falls back to
+ * an identicon on its own. The avatar border shows the contributor's
+ * role. Cards are focusable list items announced by name and role, each
+ * followed by a link to the profile; ProfileContainer handles their keys.
+ *
+ * `highlight` is `"match"` or `"dimmed"` while the wall is being searched.
+ *
+ * Given a `radius`, the card renders as a round avatar bubble of that size
+ * instead; its physics body is then a circle read from the same element.
+ * The bubble's profile link only shows while it has keyboard focus, so
+ * mouse clicks still reach the bubble.
+ */
+const ProfileCard = ({
+  profile,
+  leaving = false,
+  radius,
+  describedBy,
+  highlight,
+}) => {
+  const linkRef = useRef(null);
+
+  useEffect(() => {
+    const link = linkRef.current;
+    if (!link) return;
+
+    link.addEventListener("mousedown", stopDrag);
+    link.addEventListener("touchstart", stopDrag, { passive: true });
+    return () => {
+      link.removeEventListener("mousedown", stopDrag);
+      link.removeEventListener("touchstart", stopDrag);
+    };
+  }, [profile.profileUrl]);
+
+  const role = getRole(profile.role);
+  const stateClasses = [
+    leaving && "profile-leaving",
+    highlight === "match" && "profile-match",
+    highlight === "dimmed" && "profile-dimmed",
+  ]
+    .filter(Boolean)
+    .join(" ");
+  const a11yProps = {
+    role: "listitem",
+    tabIndex: leaving ? -1 : 0,
+    "aria-label": `${profile.name}, ${role.label}`,
+    "aria-describedby": describedBy,
+  };
+  const linkProps = {
+    ref: linkRef,
+    href: profile.profileUrl,
+    target: "_blank",
+    rel: "noopener noreferrer",
+    tabIndex: leaving ? -1 : undefined,
+    "aria-label": `Open ${profile.name}'s profile`,
+  };
+
+  if (radius) {
+    return (
+      <div
+        className={`relative inline-block m-2 select-none profile-item rounded-full overflow-hidden border-2 bg-gray-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${stateClasses}`}
+        style={{
+          width: radius * 2,
+          height: radius * 2,
+          borderColor: role.color,
+        }}
+        title={`${profile.name} (${role.label})`}
+        data-profile-id={profile.id}
+        data-shape="bubble"
+        data-role={role.id}
+        data-leaving={leaving || undefined}
+        {...a11yProps}
+      >
+        <img
+          src={avatarSrc(profile, radius * 2)}
+          alt=""
+          className="w-full h-full object-cover"
+          draggable={false}
+        />
+        {profile.profileUrl && (
+          <a
+            {...linkProps}
+            className="absolute inset-0 flex items-center justify-center bg-black/60 text-white opacity-0 pointer-events-none focus:outline-none focus-visible:opacity-100"
+          >
+            <ExternalLink size={16} />
+          </a>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`inline-block mx-2 my-2 select-none profile-item rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${stateClasses}`}
+      data-profile-id={profile.id}
+      data-shape="card"
+      data-role={role.id}
+      data-leaving={leaving || undefined}
+      {...a11yProps}
+    >
+      <div className="flex items-center gap-3">
+        <img
+          src={avatarSrc(profile, 48)}
+          alt=""
+          className="w-12 h-12 rounded-full object-cover border-2"
+          style={{ borderColor: role.color }}
+          title={role.label}
+          draggable={false}
+        />
+        <div className="flex flex-col flex-1">
+          <span className="text-white font-semibold flex items-center gap-1">
+            {profile.name}
+            <ProviderIcon
+              provider={profile.provider}
+              size={14}
+              className="text-gray-400"
+              aria-hidden="true"
+            />
+          </span>
+        </div>
+        {profile.profileUrl && (
+          <a
+            {...linkProps}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <ExternalLink size={16} />
+          </a>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfileCard;
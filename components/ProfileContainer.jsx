@@ -1,8 +1,430 @@
 "use client";
-import { useRef, useState, useEffect, useCallback, useMemo } from "react";
-import Matter from "matter-js";
+import {
+  useRef,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useId,
+} from "react";
 import Modal from "./Modal";
-import { Github } from "lucide-react";
+import ProfileCard from "./ProfileCard";
+import ProfileDetails from "./ProfileDetails";
+import ProfileEditDialog from "./ProfileEditDialog";
+import ProviderIcon from "./ProviderIcon";
+import RoleLegend from "./RoleLegend";
+import PlayModeToggle, { PLAY_MODE_IDS } from "./PlayModeToggle";
+import WallExportDialog from "./WallExportDialog";
+import { Copy, ImageDown, ImagePlus, Search, Users } from "lucide-react";
+import { DEFAULT_PROVIDER, PROVIDERS, getProvider } from "@/lib/providers/meta";
+import { windowOrientationSource } from "@/lib/orientationSource";
+import { AVATAR_UPLOAD_TYPES, MAX_AVATAR_UPLOAD_BYTES } from "@/lib/avatars";
+import { DEFAULT_ROLE, ROLES, getRole } from "@/lib/roles";
+import {
+  editLink,
+  forgetEditToken,
+  getEditToken,
+  parseEditLink,
+  saveEditToken,
+} from "@/lib/editTokens";
+import {
+  delay,
+  InvalidHandleError,
+  OfflineError,
+  RateLimitError,
+  requestJson,
+} from "@/lib/requestJson";
+import { HONEYPOT_FIELD, MIN_FILL_MS } from "@/lib/submissionMeta";
+
+// matter-js is only downloaded once the wall scrolls into view. Everything
+// below that touches `Matter` runs after that, while an engine exists.
+let Matter = null;
+let matterPromise = null;
+const loadMatter = () => {
+  if (!matterPromise) {
+    matterPromise = import("matter-js").then((module) => {
+      Matter = module.default;
+      return Matter;
+    });
+    // Let a failed download be retried the next time the wall shows up
+    matterPromise.catch(() => {
+      matterPromise = null;
+    });
+  }
+  return matterPromise;
+};
+
+// A press that moves less than this and ends quickly is a click, not a drag
+const CLICK_MAX_DISTANCE = 6;
+const CLICK_MAX_DURATION = 300;
+
+// The simulation always advances in 60 Hz steps, however fast the display
+// refreshes. Long frames are clamped so a stalled tab doesn't fast-forward.
+const FIXED_DELTA = 1000 / 60;
+const MAX_FRAME_DELTA = 100;
+const MAX_STEPS_PER_FRAME = 4;
+
+// Cards are positioned purely through `transform` so moving them never
+// triggers layout
+const placeCard = (elem, body) => {
+  const { x, y } = body.position;
+  elem.style.transform = `translate3d(${x}px, ${y}px, 0) translate(-50%, -50%) rotate(${body.angle}rad)`;
+};
+
+// Boundaries are 50px thick and centred on the arena's edges, so the floor
+// and right wall reach this far into the visible area
+const BOUNDARY_THICKNESS = 50;
+const BOUNDARY_OPTIONS = {
+  isStatic: true,
+  render: { fillStyle: "transparent" },
+};
+
+const createBoundaries = (width, height) => {
+  const { Bodies } = Matter;
+  const half = BOUNDARY_THICKNESS / 2;
+
+  const floor = Bodies.rectangle(
+    width / 2,
+    height,
+    width,
+    BOUNDARY_THICKNESS,
+    BOUNDARY_OPTIONS
+  );
+  const leftWall = Bodies.rectangle(
+    -half,
+    height / 2,
+    BOUNDARY_THICKNESS,
+    height,
+    BOUNDARY_OPTIONS
+  );
+  const rightWall = Bodies.rectangle(
+    width,
+    height / 2,
+    BOUNDARY_THICKNESS,
+    height,
+    BOUNDARY_OPTIONS
+  );
+  const ceiling = Bodies.rectangle(
+    width / 2,
+    -half,
+    width,
+    BOUNDARY_THICKNESS,
+    BOUNDARY_OPTIONS
+  );
+
+  return [floor, leftWall, rightWall, ceiling];
+};
+
+// Move a body back inside the arena if a resize left it outside
+const clampBody = (body, width, height) => {
+  const { Body, Sleeping } = Matter;
+  const half = BOUNDARY_THICKNESS / 2;
+  const halfWidth = (body.bounds.max.x - body.bounds.min.x) / 2;
+  const halfHeight = (body.bounds.max.y - body.bounds.min.y) / 2;
+  const maxX = Math.max(halfWidth, width - half - halfWidth);
+  const maxY = Math.max(halfHeight, height - half - halfHeight);
+  const x = Math.min(Math.max(body.position.x, halfWidth), maxX);
+  const y = Math.min(Math.max(body.position.y, halfHeight), maxY);
+
+  if (x !== body.position.x || y !== body.position.y) {
+    Body.setPosition(body, { x, y });
+    Body.setVelocity(body, { x: 0, y: 0 });
+  }
+  // Let everything settle against the new walls
+  Sleeping.set(body, false);
+};
+
+// Scroll jolts are capped so a flick of the trackpad can't fling cards
+// through the walls
+const MAX_SCROLL_JOLT = 12;
+const DEG_TO_RAD = Math.PI / 180;
+
+// Speed an arrow key adds to the focused card
+const NUDGE_SPEED = 6;
+const NUDGE_DIRECTIONS = {
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+};
+
+// Search matches float to the middle of the arena on a damped spring,
+// with their share of gravity cancelled out
+const SEARCH_PULL = 2e-5;
+const SEARCH_DAMPING = 3e-4;
+
+// Backoff for reconnecting to the live profile stream after it gives up
+const STREAM_RETRY_MIN = 1000;
+const STREAM_RETRY_MAX = 30000;
+
+// Insert a profile, or replace the one with the same id, so an event that
+// arrives twice never puts a card (or a body) on the wall twice
+const upsertProfile = (profiles, profile) => {
+  const index = profiles.findIndex((entry) => entry.id === profile.id);
+  if (index === -1) return [...profiles, profile];
+  const next = [...profiles];
+  next[index] = profile;
+  return next;
+};
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Pull per pixel of horizontal distance from a role's column when
+// clustering; scaled by body mass so large and small cards move alike
+const CLUSTER_FORCE = 1e-6;
+
+// Play modes. An explosion adds speed that fades with distance, and the
+// magnet pulls about three times as hard as gravity near the cursor.
+const EXPLODE_SPEED = 18;
+const EXPLODE_RADIUS = 600;
+const MAGNET_FORCE = 0.0015;
+const MAGNET_RADIUS = 400;
+const MAX_CONFETTI = 200;
+const CONFETTI_COLORS = [...ROLES.map((role) => role.color), "#a855f7"];
+const CONFETTI_BODY_OPTIONS = {
+  restitution: 0.6,
+  frictionAir: 0.02,
+  render: { fillStyle: "transparent" },
+};
+
+// Matter's Mouse listens natively on the container and cancels touches so
+// cards can be dragged, which also swallows taps on the controls drawn over
+// the wall. A ref callback for those controls keeps presses on them from
+// ever reaching Matter.
+const WALL_PRESS_EVENTS = ["mousedown", "touchstart", "touchend"];
+const stopWallPress = (e) => e.stopPropagation();
+const shieldFromWall = (node) => {
+  WALL_PRESS_EVENTS.forEach((type) =>
+    node.addEventListener(type, stopWallPress, { passive: true })
+  );
+  return () =>
+    WALL_PRESS_EVENTS.forEach((type) =>
+      node.removeEventListener(type, stopWallPress)
+    );
+};
+
+// Presses on the wall's own controls never count as play gestures
+const isControl = (target) =>
+  target instanceof Element &&
+  Boolean(target.closest("button, a, input, select, textarea"));
+
+const isTyping = (target) =>
+  target instanceof Element &&
+  (target.isContentEditable ||
+    Boolean(target.closest("input, select, textarea")));
+
+// Blast every body away from `point`
+const explodeFrom = (bodies, point, strength) => {
+  const { Body, Sleeping } = Matter;
+  bodies.forEach((body) => {
+    const dx = body.position.x - point.x;
+    const dy = body.position.y - point.y;
+    const distance = Math.hypot(dx, dy) || 1;
+    const speed =
+      EXPLODE_SPEED * strength * Math.max(1 - distance / EXPLODE_RADIUS, 0.2);
+    Sleeping.set(body, false);
+    Body.setVelocity(body, {
+      x: body.velocity.x + (dx / distance) * speed,
+      y: body.velocity.y + (dy / distance) * speed,
+    });
+  });
+};
+
+// Pull bodies near `point` toward it
+const attractTo = (bodies, point, strength) => {
+  const { Body, Sleeping } = Matter;
+  bodies.forEach((body) => {
+    const dx = point.x - body.position.x;
+    const dy = point.y - body.position.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance < 1 || distance > MAGNET_RADIUS) return;
+    const force =
+      MAGNET_FORCE * strength * body.mass * (1 - distance / MAGNET_RADIUS);
+    Sleeping.set(body, false);
+    Body.applyForce(body, body.position, {
+      x: (dx / distance) * force,
+      y: (dy / distance) * force,
+    });
+  });
+};
+
+// A decorative piece bursting out of `point`. Like cards, it is a DOM
+// element that follows its body, on a layer of its own.
+const createConfetti = (point, layer) => {
+  const { Bodies, Body } = Matter;
+  const width = 6 + Math.random() * 8;
+  const height = 4 + Math.random() * 4;
+  const body = Bodies.rectangle(
+    point.x,
+    point.y,
+    width,
+    height,
+    CONFETTI_BODY_OPTIONS
+  );
+  const angle = Math.random() * Math.PI * 2;
+  const speed = 4 + Math.random() * 6;
+  Body.setVelocity(body, {
+    x: Math.cos(angle) * speed,
+    y: Math.sin(angle) * speed - 4,
+  });
+  Body.setAngularVelocity(body, (Math.random() - 0.5) * 0.4);
+
+  const elem = document.createElement("div");
+  Object.assign(elem.style, {
+    position: "absolute",
+    left: "0",
+    top: "0",
+    width: `${width}px`,
+    height: `${height}px`,
+    borderRadius: "2px",
+    background:
+      CONFETTI_COLORS[Math.floor(Math.random() * CONFETTI_COLORS.length)],
+  });
+  layer.appendChild(elem);
+  placeCard(elem, body);
+  return { body, elem };
+};
+
+// How long a removed card takes to fade out before it leaves the DOM
+const LEAVE_DURATION = 400;
+
+const CARD_BODY_OPTIONS = {
+  render: { fillStyle: "transparent" },
+  restitution: 0.8,
+  frictionAir: 0.01,
+  friction: 0.2,
+};
+
+// Bubble radii in px for the lightest and the heaviest profile on the wall
+const MIN_BUBBLE_RADIUS = 24;
+const MAX_BUBBLE_RADIUS = 72;
+
+// Where each `weightBy` mode reads a profile's weight from
+const WEIGHT_READERS = {
+  manual: (profile) => profile.weight,
+  contributions: (profile) => profile.contributions,
+  role: (profile) => getRole(profile.role).weight,
+  // A weight set by an admin wins over the imported commit count
+  auto: (profile) => profile.weight ?? profile.contributions,
+};
+
+// Bubble area follows weight, so the radius grows with its square root.
+// Profiles without a weight count as 1.
+const bubbleRadii = (profiles, weightBy) => {
+  const readWeight = WEIGHT_READERS[weightBy] || WEIGHT_READERS.auto;
+  const weights = profiles.map((profile) =>
+    Math.max(readWeight(profile) ?? 1, 0)
+  );
+  const maxWeight = Math.max(...weights, 1);
+  return new Map(
+    profiles.map((profile, index) => [
+      profile.id,
+      MIN_BUBBLE_RADIUS +
+        (MAX_BUBBLE_RADIUS - MIN_BUBBLE_RADIUS) *
+          Math.sqrt(weights[index] / maxWeight),
+    ])
+  );
+};
+
+const EMPTY_FORM = {
+  provider: DEFAULT_PROVIDER,
+  handle: "",
+  name: "",
+  profileUrl: "",
+  avatarFile: null,
+  role: DEFAULT_ROLE,
+  tagline: "",
+  [HONEYPOT_FIELD]: "",
+};
+
+// Checked when the file is picked; the upload route checks it again
+const avatarFileError = (file) => {
+  if (!AVATAR_UPLOAD_TYPES.includes(file.type)) {
+    return "Please choose a PNG, JPEG, WebP or GIF image";
+  }
+  if (file.size > MAX_AVATAR_UPLOAD_BYTES) {
+    return `Please choose an image of at most ${MAX_AVATAR_UPLOAD_BYTES / 1024 / 1024} MB`;
+  }
+  return "";
+};
+
+// Store the picture and return the id to submit with the profile
+const uploadAvatar = async (file) => {
+  const body = new FormData();
+  body.append("avatar", file);
+  const { avatarUpload } = await requestJson("/api/avatars/uploads", {
+    method: "POST",
+    body,
+    retries: 1,
+  });
+  return avatarUpload;
+};
+
+// Check the handle with the chosen provider, or take the manual fields
+// as-is, and return the payload to submit. The server looks forge
+// profiles up again itself, so only the handle is sent.
+const resolveProfile = async ({
+  provider,
+  handle,
+  name,
+  profileUrl,
+  avatarFile,
+  role,
+  tagline,
+}) => {
+  if (provider === "manual") {
+    if (!name.trim()) {
+      throw new Error("Please enter your name");
+    }
+    return {
+      provider,
+      name: name.trim(),
+      profileUrl: profileUrl.trim(),
+      avatarUpload: avatarFile ? await uploadAvatar(avatarFile) : undefined,
+      role,
+      tagline,
+    };
+  }
+
+  const { handleLabel, handlePattern } = getProvider(provider);
+  const trimmed = handle.trim();
+  if (!trimmed) {
+    throw new Error(`Please enter a ${handleLabel}`);
+  }
+  if (!handlePattern.test(trimmed)) {
+    throw new InvalidHandleError(
+      `That doesn't look like a valid ${handleLabel}`
+    );
+  }
+
+  // Look the handle up through our caching proxy first, so a bad handle
+  // is reported without spending the form token. It goes in the body so
+  // email handles stay out of URLs.
+  try {
+    await requestJson(`/api/providers/${provider}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ handle: trimmed }),
+    });
+  } catch (err) {
+    // The provider has stricter rules than the pattern above
+    if (err.status === 400) throw new InvalidHandleError(err.message);
+    throw err;
+  }
+
+  return { provider, handle: trimmed, role, tagline };
+};
+
+// `receivedAt` lets a form whose token arrived late wait out the minimum
+// fill time instead of being refused
+const fetchFormToken = async () => {
+  const { token } = await requestJson("/api/profiles/form-token");
+  return { token, receivedAt: Date.now() };
+};
+
+// m:ss until a rate limit lifts
+const formatWait = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
 
 /**
  * ProfileContainer Component
@@ -12,142 +434,519 @@ import { Github } from "lucide-react";
  * elements that react to user interaction and scroll events.
  *
  * Features:
+ * - Profiles passed in as `initialProfiles` are server-rendered as plain
+ *   markup; matter-js is only imported once the wall scrolls into view and
+ *   then takes over those same elements
  * - Automatic scroll-based triggering
- * - Optimized animation loop with 60 FPS cap
+ * - Single fixed-timestep loop that pauses while the wall is off screen and
+ *   skips sleeping bodies, so hundreds of cards stay smooth
  * - Throttled scroll event handling
- * - Responsive design with resize handling
+ * - Optional scroll-velocity jolts and device-tilt gravity
+ * - `shape="bubble"` turns cards into round avatar bubbles sized by weight
+ *   (`weightBy`: manual weight, commit count, role, or manual then commits)
+ * - Role-colored borders with a legend, and `clusterByRole` to pull each
+ *   role toward its own column of the arena
+ * - Play modes with an in-wall toggle: double-click to explode, hold a key
+ *   for a magnet cursor, click empty space for confetti
+ * - Search box: matching cards glow and float to the center, the rest dim
+ * - "Export image" downloads the current frame as a PNG or SVG
+ * - Focusable cards: arrow keys nudge the focused card, Enter or Space opens
+ *   its details. With `prefers-reduced-motion` the wall is a static grid
+ *   and Matter.js never starts.
+ * - Arena resizes in place (window resize, phone rotation) and keeps every
+ *   card where it is
  * - Memoized configurations for better performance
- * - GitHub profile management with modal interface
+ * - Profile management with modal interface (GitHub, GitLab, Codeberg,
+ *   Gravatar or manual entry)
+ * - Profiles persisted through the shared `/api/profiles` store, with new
+ *   submissions held for moderation
+ * - Click (as opposed to drag) a card to open its profile details
+ * - New contributors drop into the running simulation, removed ones fade out
+ * - `liveUpdates` keeps the wall in sync with other visitors' changes
+ *   through the `/api/profiles/stream` Server-Sent Events endpoint
  */
 const ProfileContainer = ({
+  initialProfiles,
+  liveUpdates = true,
   backgroundColor = "transparent",
   wireframes = false,
   gravity = 0.56,
   mouseConstraintStiffness = 0.9,
+  scrollJolt = false,
+  scrollJoltStrength = 1,
+  tiltGravity = false,
+  tiltStrength = 1,
+  orientationSource = windowOrientationSource,
+  shape = "card",
+  weightBy = "auto",
+  clusterByRole = false,
+  clusterStrength = 1,
+  playModes = PLAY_MODE_IDS,
+  defaultPlayModes = [],
+  explodeStrength = 1,
+  magnetKey = "m",
+  magnetStrength = 1,
+  confettiCount = 16,
+  confettiLifetime = 3000,
 }) => {
   const containerRef = useRef(null);
   const profilesRef = useRef(null);
   const canvasContainerRef = useRef(null);
   const animationFrameRef = useRef(null);
   const renderRef = useRef(null);
-  const runnerRef = useRef(null);
-  const scrollTimeoutRef = useRef(null);
+  const lastScrollRef = useRef(null);
+  const engineRef = useRef(null);
+  const bodiesRef = useRef(new Map());
+  const previousProfilesRef = useRef([]);
+  const leaveTimeoutsRef = useRef(new Set());
+  const clusterRef = useRef(null);
+  const searchRef = useRef(null);
+  const playRef = useRef(null);
+  const confettiLayerRef = useRef(null);
 
   const [effectStarted, setEffectStarted] = useState(false);
-  const [isScrolling, setIsScrolling] = useState(false);
+  const [matterLoaded, setMatterLoaded] = useState(false);
+  const [reducedMotion, setReducedMotion] = useState(false);
+  const keyboardHintId = useId();
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [profiles, setProfiles] = useState([
-    {
-      id: 1,
-      name: "Linus Torvalds",
-      profileUrl: "https://github.com/torvalds",
-      avatarUrl: "https://github.com/torvalds.png",
-    },
-    {
-      id: 2,
-      name: "Dan Abramov",
-      profileUrl: "https://github.com/gaearon",
-      avatarUrl: "https://github.com/gaearon.png",
-    },
-    {
-      id: 3,
-      name: "Evan You",
-      profileUrl: "https://github.com/yyx990803",
-      avatarUrl: "https://github.com/yyx990803.png",
-    },
-  ]);
-  const [formData, setFormData] = useState({
-    username: "",
-  });
+  const [profiles, setProfiles] = useState(initialProfiles ?? []);
+  const [profilesLoaded, setProfilesLoaded] = useState(
+    initialProfiles !== undefined
+  );
+  const [leavingProfiles, setLeavingProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  const [submittedProfile, setSubmittedProfile] = useState(null);
+  const [formToken, setFormToken] = useState(null);
+  const [queuedForm, setQueuedForm] = useState(null);
+  const [submittedEditLink, setSubmittedEditLink] = useState("");
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [avatarPreview, setAvatarPreview] = useState("");
+  const [retryAt, setRetryAt] = useState(null);
+  const [retryIn, setRetryIn] = useState(0);
+  const [activePlayModes, setActivePlayModes] = useState(defaultPlayModes);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [isExportOpen, setIsExportOpen] = useState(false);
 
-  // Handle form submission to add a new profile
-  const handleAddProfile = useCallback(
-    async (e) => {
-      e.preventDefault();
-      
-      if (!formData.username.trim()) {
-        setError("Please enter a GitHub username");
-        return;
+  // Load the shared contributor list from the server store, unless the
+  // page already rendered it
+  const hasInitialProfiles = initialProfiles !== undefined;
+  useEffect(() => {
+    if (hasInitialProfiles) return;
+
+    const controller = new AbortController();
+
+    const loadProfiles = async () => {
+      try {
+        const response = await fetch("/api/profiles", {
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error("Failed to load profiles");
+        }
+        const data = await response.json();
+        setProfiles(data.profiles);
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.error(err);
+        }
+      } finally {
+        if (!controller.signal.aborted) {
+          setProfilesLoaded(true);
+        }
       }
+    };
+
+    loadProfiles();
+    return () => controller.abort();
+  }, [hasInitialProfiles]);
+
+  // Live updates from the server. EventSource reconnects by itself after a
+  // dropped connection and the server replays what was missed; if it gives
+  // up entirely, reconnect with backoff and start again from a snapshot.
+  useEffect(() => {
+    if (!liveUpdates) return;
+
+    let source = null;
+    let retryTimeout = null;
+    let retryDelay = STREAM_RETRY_MIN;
+
+    const handlers = {
+      snapshot: (list) => {
+        setProfiles(list);
+        setProfilesLoaded(true);
+      },
+      added: (profile) => setProfiles((prev) => upsertProfile(prev, profile)),
+      updated: (profile) => setProfiles((prev) => upsertProfile(prev, profile)),
+      removed: (profile) =>
+        setProfiles((prev) => prev.filter((entry) => entry.id !== profile.id)),
+    };
+
+    const connect = () => {
+      source = new EventSource("/api/profiles/stream");
+      source.onopen = () => {
+        retryDelay = STREAM_RETRY_MIN;
+      };
+      Object.entries(handlers).forEach(([type, handle]) => {
+        source.addEventListener(type, (e) => {
+          try {
+            handle(JSON.parse(e.data));
+          } catch (err) {
+            console.error(err);
+          }
+        });
+      });
+      source.onerror = () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        source.close();
+        retryTimeout = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, STREAM_RETRY_MAX);
+      };
+    };
+
+    connect();
+    return () => {
+      clearTimeout(retryTimeout);
+      source?.close();
+    };
+  }, [liveUpdates]);
+
+  // Every opening of the add form gets a fresh token, which tells the
+  // server how long the form has been open
+  useEffect(() => {
+    if (!isModalOpen) return;
 
+    let cancelled = false;
+    setFormToken(null);
+    // A missing token is fetched again on submit
+    fetchFormToken()
+      .then((issued) => {
+        if (!cancelled) setFormToken(issued);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isModalOpen]);
+
+  // Look the profile up and submit it to the shared store, where it shows
+  // up once a moderator approves it. Offline submissions are queued.
+  const submitProfile = useCallback(
+    async (form) => {
       setIsLoading(true);
       setError("");
+      setRetryAt(null);
 
       try {
-        // Fetch GitHub profile data
-        const username = formData.username.trim();
-        const response = await fetch(`https://api.github.com/users/${username}`);
-        
-        if (!response.ok) {
-          if (response.status === 404) {
-            throw new Error("GitHub user not found");
-          }
-          throw new Error("Failed to fetch profile data");
-        }
+        const profile = await resolveProfile(form);
 
-        const githubProfile = await response.json();
+        const issued = formToken ?? (await fetchFormToken());
+        const wait = issued.receivedAt + MIN_FILL_MS - Date.now();
+        if (wait > 0) await delay(wait);
 
-        const newProfile = {
-          id: Date.now(),
-          name: githubProfile.name || githubProfile.login, // Use display name or fallback to username
-          profileUrl: githubProfile.html_url,
-          avatarUrl: githubProfile.avatar_url,
-          username: githubProfile.login,
-        };
+        // Tokens are single-use, so fetch the next one straight away in
+        // case this submission has to be corrected and sent again
+        setFormToken(null);
+        fetchFormToken()
+          .then(setFormToken)
+          .catch(() => {});
 
-        setProfiles((prevProfiles) => [...prevProfiles, newProfile]);
-        setFormData({ username: "" });
-        setIsModalOpen(false);
+        // Not retried: a submission that timed out may still have landed
+        const saved = await requestJson("/api/profiles", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            ...profile,
+            formToken: issued.token,
+            [HONEYPOT_FIELD]: form[HONEYPOT_FIELD],
+          }),
+          retries: 0,
+        });
+
+        if (saved.profile.status === "approved") {
+          setProfiles((prevProfiles) =>
+            upsertProfile(prevProfiles, saved.profile)
+          );
+        }
+        setQueuedForm(null);
+        setSubmittedProfile(saved.profile);
+        setFormData(EMPTY_FORM);
+        saveEditToken(saved.profile.id, saved.editToken);
+        setSubmittedEditLink(editLink(saved.profile.id, saved.editToken));
+        setLinkCopied(false);
       } catch (err) {
+        if (err instanceof OfflineError) {
+          setQueuedForm(form);
+          return;
+        }
+        // Bring a queued submission back into the form so it can be fixed
+        setQueuedForm(null);
+        setFormData(form);
         setError(err.message);
+        if (err instanceof RateLimitError && err.resetAt) {
+          setRetryAt(err.resetAt);
+        }
       } finally {
         setIsLoading(false);
       }
     },
-    [formData]
+    [formToken]
+  );
+
+  const handleAddProfile = useCallback(
+    (e) => {
+      e.preventDefault();
+      submitProfile(formData);
+    },
+    [formData, submitProfile]
   );
 
+  // Send a queued submission as soon as the browser is back online
+  useEffect(() => {
+    if (!queuedForm) return;
+
+    const flush = () => submitProfile(queuedForm);
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, [queuedForm, submitProfile]);
+
+  // Preview the picked avatar without uploading it yet
+  useEffect(() => {
+    if (!formData.avatarFile) {
+      setAvatarPreview("");
+      return;
+    }
+    const url = URL.createObjectURL(formData.avatarFile);
+    setAvatarPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [formData.avatarFile]);
+
+  // Edit links open the edit dialog; the token is kept in this browser and
+  // the fragment dropped so it doesn't linger in the address bar
+  useEffect(() => {
+    const link = parseEditLink(window.location.hash);
+    if (!link) return;
+
+    saveEditToken(link.id, link.token);
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search
+    );
+    setEditing(link);
+  }, []);
+
+  // Edited profiles go back to the moderation queue, so they leave the
+  // wall until they're approved again
+  const handleProfileSaved = useCallback((profile) => {
+    setProfiles((prev) =>
+      profile.status === "approved"
+        ? upsertProfile(prev, profile)
+        : prev.filter((entry) => entry.id !== profile.id)
+    );
+    setEditing(null);
+  }, []);
+
+  const handleProfileDeleted = useCallback((profile) => {
+    forgetEditToken(profile.id);
+    setProfiles((prev) => prev.filter((entry) => entry.id !== profile.id));
+    setEditing(null);
+  }, []);
+
+  // Count down until a rate limit lifts
+  useEffect(() => {
+    if (!retryAt) {
+      setRetryIn(0);
+      return;
+    }
+
+    const tick = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+      setRetryIn(Math.max(seconds, 0));
+      if (seconds <= 0) setRetryAt(null);
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [retryAt]);
+
   // Handle form input changes
-  const handleInputChange = useCallback((value) => {
-    setFormData({ username: value });
+  const handleInputChange = useCallback((field, value) => {
+    setFormData((prev) => ({ ...prev, [field]: value }));
     if (error) setError(""); // Clear error when user types
   }, [error]);
 
-  // Memoize the profile elements generation for better performance
-  const renderProfiles = useCallback(() => {
-    if (!profilesRef.current) return;
+  const handleAvatarFile = useCallback(
+    (e) => {
+      const file = e.target.files?.[0];
+      // Let the same file be picked again after removing it
+      e.target.value = "";
+      if (!file) return;
 
-    profilesRef.current.innerHTML = "";
+      const problem = avatarFileError(file);
+      if (problem) {
+        setError(problem);
+        return;
+      }
+      handleInputChange("avatarFile", file);
+    },
+    [handleInputChange]
+  );
 
-    profiles.forEach((profile) => {
-      const profileDiv = document.createElement("div");
-      profileDiv.className = "inline-block mx-2 my-2 select-none profile-item";
-      profileDiv.setAttribute("data-profile-id", profile.id);
+  // One keyed list, so a card that starts leaving keeps its DOM element
+  // (and its last physics position) while it fades out
+  const wallProfiles = useMemo(() => {
+    const currentIds = new Set(profiles.map((profile) => profile.id));
+    return [
+      ...profiles,
+      ...leavingProfiles
+        .filter((profile) => !currentIds.has(profile.id))
+        .map((profile) => ({ ...profile, leaving: true })),
+    ];
+  }, [profiles, leavingProfiles]);
 
-      profileDiv.innerHTML = `
-        <div class="flex items-center gap-3">
-          <img
-            src="${profile.avatarUrl}"
-            alt="${profile.name}"
-            class="w-12 h-12 rounded-full object-cover border-2 border-gray-600"
-            onerror="this.src='https://github.com/github.png'"
-          />
-          <div class="flex flex-col flex-1">
-            <span class="text-white font-semibold">${profile.name}</span>
-            
-          </div>
-        </div>
-      `;
+  const wallRoles = useMemo(
+    () => new Set(profiles.map((profile) => getRole(profile.role).id)),
+    [profiles]
+  );
 
-      profilesRef.current.appendChild(profileDiv);
-    });
+  // Ids of the profiles matching the wall search, or null when not searching
+  const searchMatches = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return null;
+    return new Set(
+      profiles
+        .filter((profile) =>
+          [profile.name, profile.username].some(
+            (value) => value && value.toLowerCase().includes(term)
+          )
+        )
+        .map((profile) => profile.id)
+    );
+  }, [profiles, searchTerm]);
+
+  const radii = useMemo(
+    () => (shape === "bubble" ? bubbleRadii(wallProfiles, weightBy) : null),
+    [shape, wallProfiles, weightBy]
+  );
+
+  // Keep removed profiles rendered long enough to fade out
+  useEffect(() => {
+    const currentIds = new Set(profiles.map((profile) => profile.id));
+    const removed = previousProfilesRef.current.filter(
+      (profile) => !currentIds.has(profile.id)
+    );
+    previousProfilesRef.current = profiles;
+    if (removed.length === 0) return;
+
+    setLeavingProfiles((prev) => [...prev, ...removed]);
+    const timeout = setTimeout(() => {
+      leaveTimeoutsRef.current.delete(timeout);
+      setLeavingProfiles((prev) =>
+        prev.filter((profile) => !removed.includes(profile))
+      );
+    }, LEAVE_DURATION);
+    leaveTimeoutsRef.current.add(timeout);
   }, [profiles]);
 
   useEffect(() => {
-    renderProfiles();
-  }, [renderProfiles]);
+    const timeouts = leaveTimeoutsRef.current;
+    return () => timeouts.forEach(clearTimeout);
+  }, []);
+
+  // Match the physics world to the rendered cards without restarting it:
+  // new cards get a body, cards that left (or are fading out) lose theirs.
+  // On the first pass after the engine starts, bodies take over the cards'
+  // laid-out positions; later arrivals drop in from the top. Bubbles that
+  // changed size are rescaled, and a card that switched shape gets a new
+  // body where the old one was.
+  const syncBodies = useCallback((initial = false) => {
+    const engine = engineRef.current;
+    if (!engine || !profilesRef.current || !containerRef.current) return;
+
+    const { Bodies, Body, Composite, Sleeping } = Matter;
+    const bodies = bodiesRef.current;
+    const containerRect = containerRef.current.getBoundingClientRect();
+    const elements = new Map(
+      [...profilesRef.current.querySelectorAll(".profile-item")]
+        .filter((elem) => !elem.dataset.leaving)
+        .map((elem) => [elem.dataset.profileId, elem])
+    );
+
+    let removed = false;
+    bodies.forEach(({ body }, id) => {
+      if (!elements.has(id)) {
+        Composite.remove(engine.world, body);
+        bodies.delete(id);
+        removed = true;
+      }
+    });
+    // Cards resting on a removed one are asleep and wouldn't notice it left
+    if (removed) {
+      bodies.forEach(({ body }) => Sleeping.set(body, false));
+    }
+
+    elements.forEach((elem, id) => {
+      const shape = elem.dataset.shape;
+      const entry = bodies.get(id);
+      if (entry && entry.shape === shape) {
+        entry.role = elem.dataset.role;
+        const radius = elem.offsetWidth / 2;
+        const { body } = entry;
+        if (shape === "bubble" && Math.abs(radius - body.circleRadius) > 0.5) {
+          const scale = radius / body.circleRadius;
+          Body.scale(body, scale, scale);
+          Sleeping.set(body, false);
+        }
+        return;
+      }
+      if (entry) {
+        Composite.remove(engine.world, entry.body);
+      }
+
+      const rect = elem.getBoundingClientRect();
+      const width = elem.offsetWidth;
+      const height = elem.offsetHeight;
+      let x = initial
+        ? rect.left - containerRect.left + rect.width / 2
+        : width / 2 + Math.random() * Math.max(containerRect.width - width, 0);
+      let y = initial ? rect.top - containerRect.top + rect.height / 2 : height;
+      if (entry) {
+        ({ x, y } = entry.body.position);
+      }
+
+      const body =
+        shape === "bubble"
+          ? Bodies.circle(x, y, width / 2, CARD_BODY_OPTIONS)
+          : Bodies.rectangle(x, y, width, height, CARD_BODY_OPTIONS);
+
+      // Add gentle initial velocity to prevent clustering
+      Body.setVelocity(body, {
+        x: (Math.random() - 0.5) * 2,
+        y: 0,
+      });
+      Body.setAngularVelocity(body, (Math.random() - 0.5) * 0.02);
+
+      elem.style.position = "absolute";
+      elem.style.left = "0";
+      elem.style.top = "0";
+      placeCard(elem, body);
+      if (!initial && !entry) {
+        elem.classList.add("profile-spawn");
+      }
+
+      Composite.add(engine.world, body);
+      bodies.set(id, { body, elem, shape, role: elem.dataset.role });
+    });
+  }, []);
+
+  useEffect(() => {
+    syncBodies();
+  }, [wallProfiles, radii, syncBodies]);
 
   // Throttled scroll handler for performance
   const handleScroll = useCallback(() => {
@@ -156,21 +955,34 @@ const ProfileContainer = ({
     const rect = containerRef.current.getBoundingClientRect();
     const isInViewport = rect.top < window.innerHeight && rect.bottom > 0;
 
+    // Scroll velocity in px/ms since the last handled scroll event
+    const now = performance.now();
+    const previous = lastScrollRef.current;
+    lastScrollRef.current = { y: window.scrollY, time: now };
+    const velocity =
+      previous && now > previous.time
+        ? (window.scrollY - previous.y) / (now - previous.time)
+        : 0;
+
     if (isInViewport) {
       setEffectStarted(true);
-      setIsScrolling(true);
 
-      // Clear existing timeout
-      if (scrollTimeoutRef.current) {
-        clearTimeout(scrollTimeoutRef.current);
+      // Cards jump against the scroll direction, harder the faster it goes
+      if (scrollJolt && velocity !== 0 && engineRef.current) {
+        const jolt = Math.max(
+          -MAX_SCROLL_JOLT,
+          Math.min(MAX_SCROLL_JOLT, -velocity * scrollJoltStrength * 8)
+        );
+        bodiesRef.current.forEach(({ body }) => {
+          Matter.Sleeping.set(body, false);
+          Matter.Body.setVelocity(body, {
+            x: body.velocity.x + (Math.random() - 0.5) * Math.abs(jolt) * 0.3,
+            y: body.velocity.y + jolt,
+          });
+        });
       }
-
-      // Set timeout to detect when scrolling stops
-      scrollTimeoutRef.current = setTimeout(() => {
-        setIsScrolling(false);
-      }, 150);
     }
-  }, []);
+  }, [scrollJolt, scrollJoltStrength]);
 
   // Throttled scroll event listener
   useEffect(() => {
@@ -194,31 +1006,110 @@ const ProfileContainer = ({
 
     return () => {
       window.removeEventListener("scroll", throttledScrollHandler);
-      if (scrollTimeoutRef.current) {
-        clearTimeout(scrollTimeoutRef.current);
-      }
     };
   }, [handleScroll]);
 
-  // Handle window resize for better responsiveness
+  // Follow the reduced-motion preference, including changes while open
   useEffect(() => {
-    const handleResize = () => {
-      if (effectStarted && containerRef.current) {
-        // Reset effect on resize to recalculate dimensions
-        setEffectStarted(false);
-        setTimeout(() => setEffectStarted(true), 100);
-      }
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const update = () => setReducedMotion(query.matches);
+    update();
+    query.addEventListener("change", update);
+    return () => query.removeEventListener("change", update);
+  }, []);
+
+  // Cards left behind by a stopped simulation go back into the grid flow
+  useEffect(() => {
+    if (!reducedMotion || !profilesRef.current) return;
+    profilesRef.current.querySelectorAll(".profile-item").forEach((elem) => {
+      elem.style.position = "";
+      elem.style.left = "";
+      elem.style.top = "";
+      elem.style.transform = "";
+      elem.classList.remove("profile-spawn");
+    });
+  }, [reducedMotion]);
+
+  // Keyboard access: the focused card is nudged with the arrow keys and
+  // opened with Enter or Space
+  const handleCardKeyDown = useCallback((e) => {
+    const elem = e.target;
+    if (!elem.classList?.contains("profile-item")) return;
+    const id = elem.dataset.profileId;
+
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      setSelectedProfileId(id);
+      return;
+    }
+
+    const direction = NUDGE_DIRECTIONS[e.key];
+    const entry = bodiesRef.current.get(id);
+    if (!direction || !entry) return;
+    e.preventDefault();
+    Matter.Sleeping.set(entry.body, false);
+    Matter.Body.setVelocity(entry.body, {
+      x: entry.body.velocity.x + direction.x * NUDGE_SPEED,
+      y: entry.body.velocity.y + direction.y * NUDGE_SPEED,
+    });
+  }, []);
+
+  // Fetch the physics engine the first time the wall comes into view
+  useEffect(() => {
+    if (!effectStarted || reducedMotion) return;
+
+    let cancelled = false;
+    loadMatter()
+      .then(() => {
+        if (!cancelled) setMatterLoaded(true);
+      })
+      .catch((err) => console.error(err));
+    return () => {
+      cancelled = true;
     };
+  }, [effectStarted, reducedMotion]);
 
-    window.addEventListener("resize", handleResize);
-    return () => window.removeEventListener("resize", handleResize);
-  }, [effectStarted]);
+  // Like clustering, play settings are read by the physics effect's
+  // handlers as they fire instead of being effect dependencies
+  useEffect(() => {
+    playRef.current = {
+      modes: new Set(activePlayModes.filter((id) => playModes.includes(id))),
+      explodeStrength,
+      magnetKey: magnetKey.toLowerCase(),
+      magnetStrength,
+      confettiCount,
+      confettiLifetime,
+    };
+  }, [
+    activePlayModes,
+    playModes,
+    explodeStrength,
+    magnetKey,
+    magnetStrength,
+    confettiCount,
+    confettiLifetime,
+  ]);
+
+  const togglePlayMode = useCallback((id) => {
+    setActivePlayModes((prev) =>
+      prev.includes(id) ? prev.filter((mode) => mode !== id) : [...prev, id]
+    );
+  }, []);
 
   useEffect(() => {
-    if (!effectStarted) return;
+    if (!matterLoaded || reducedMotion) return;
 
-    const { Engine, Render, World, Bodies, Runner, Mouse, MouseConstraint } =
-      Matter;
+    const {
+      Engine,
+      Render,
+      World,
+      Mouse,
+      MouseConstraint,
+      Events,
+      Query,
+      Body,
+      Sleeping,
+    } = Matter;
 
     const containerRect = containerRef.current.getBoundingClientRect();
     const width = containerRect.width;
@@ -226,8 +1117,9 @@ const ProfileContainer = ({
 
     if (width <= 0 || height <= 0) return;
 
-    // Create engine with maximum collision stability
-    const engine = Engine.create();
+    // Create engine with maximum collision stability. Resting cards fall
+    // asleep and cost nothing until something bumps or drags them.
+    const engine = Engine.create({ enableSleeping: true });
     engine.gravity.y = gravity;
     // engine.timing.timeScale = 0.8; // Slow down time slightly for better collision detection
 
@@ -236,9 +1128,6 @@ const ProfileContainer = ({
     // engine.velocityIterations = 10; // Increase significantly from default 4
     // engine.constraintIterations = 6; // Increase significantly from default 2
 
-    // // Enable continuous collision detection
-    // engine.enableSleeping = false; // Keep all bodies active for better collision detection
-
     // Create renderer with optimized settings
     const render = Render.create({
       element: canvasContainerRef.current,
@@ -254,74 +1143,7 @@ const ProfileContainer = ({
     });
     renderRef.current = render;
 
-    const boundaryOptions = {
-      isStatic: true,
-      render: { fillStyle: "transparent" },
-    };
-    const floor = Bodies.rectangle(
-      width / 2,
-      height,
-      width,
-      50,
-      boundaryOptions
-    );
-    const leftWall = Bodies.rectangle(
-      -25,
-      height / 2,
-      50,
-      height,
-      boundaryOptions
-    );
-    const rightWall = Bodies.rectangle(
-      width,
-      height / 2,
-      50,
-      height,
-      boundaryOptions
-    );
-    const ceiling = Bodies.rectangle(
-      width / 2,
-      -25,
-      width,
-      50,
-      boundaryOptions
-    );
-
-    const wordSpans = profilesRef.current.querySelectorAll(".profile-item");
-    const wordBodies = [...wordSpans].map((elem) => {
-      const rect = elem.getBoundingClientRect();
-
-      const x = rect.left - containerRect.left + rect.width / 2;
-      const y = rect.top - containerRect.top + rect.height / 2;
-
-      const body = Bodies.rectangle(x, y, rect.width, rect.height, {
-        render: { fillStyle: "transparent" },
-        restitution: 0.8,
-        frictionAir: 0.01,
-        friction: 0.2,
-      });
-
-      // Add gentle initial velocity to prevent clustering
-      Matter.Body.setVelocity(body, {
-        x: (Math.random() - 0.5) * 2, // Reduced from 5 to 2
-        y: 0,
-      });
-      Matter.Body.setAngularVelocity(body, (Math.random() - 0.5) * 0.02); // Reduced from 0.05
-
-      return { elem, body };
-    });
-
-    // Set initial positions
-    wordBodies.forEach(({ elem, body }) => {
-      elem.style.position = "absolute";
-      elem.style.left = `${
-        body.position.x - body.bounds.max.x + body.bounds.min.x / 2
-      }px`;
-      elem.style.top = `${
-        body.position.y - body.bounds.max.y + body.bounds.min.y / 2
-      }px`;
-      elem.style.transform = "none";
-    });
+    let boundaries = createBoundaries(width, height);
 
     const mouse = Mouse.create(containerRef.current);
 
@@ -338,108 +1160,546 @@ const ProfileContainer = ({
     });
     render.mouse = mouse;
 
+    // Confetti only lives as long as this world does
+    const confetti = new Set();
+    const confettiTimeouts = new Set();
+    const later = (callback, delay) => {
+      const timeout = setTimeout(() => {
+        confettiTimeouts.delete(timeout);
+        callback();
+      }, delay);
+      confettiTimeouts.add(timeout);
+    };
+    const allBodies = () => [
+      ...[...bodiesRef.current.values()].map(({ body }) => body),
+      ...[...confetti].map(({ body }) => body),
+    ];
+
+    const spawnConfetti = (point) => {
+      const { confettiCount, confettiLifetime } = playRef.current;
+      const count = Math.min(confettiCount, MAX_CONFETTI - confetti.size);
+      if (count <= 0 || !confettiLayerRef.current) return;
+
+      const pieces = Array.from({ length: count }, () =>
+        createConfetti(point, confettiLayerRef.current)
+      );
+      pieces.forEach((piece) => {
+        confetti.add(piece);
+        World.add(engine.world, piece.body);
+      });
+      // Fade out like a leaving card, then drop the bodies
+      later(() => {
+        pieces.forEach(({ elem }) => elem.classList.add("profile-leaving"));
+        later(() => {
+          pieces.forEach((piece) => {
+            World.remove(engine.world, piece.body);
+            piece.elem.remove();
+            confetti.delete(piece);
+          });
+        }, LEAVE_DURATION);
+      }, confettiLifetime);
+    };
+
+    // Tell a click apart from a drag: remember which card the press started
+    // on (if any) and only treat the release as a click if the pointer
+    // barely moved. A click on a card opens it; on empty space it can
+    // spawn confetti.
+    let press = null;
+    const handlePress = () => {
+      if (isControl(mouse.sourceEvents.mousedown?.target)) {
+        press = null;
+        return;
+      }
+      const cards = [...bodiesRef.current.entries()];
+      const [hit] = Query.point(
+        cards.map(([, { body }]) => body),
+        mouse.position
+      );
+      const pressed = hit && cards.find(([, { body }]) => body === hit);
+      press = {
+        profileId: pressed ? pressed[0] : null,
+        x: mouse.position.x,
+        y: mouse.position.y,
+        time: Date.now(),
+      };
+    };
+    const handleRelease = () => {
+      if (!press) return;
+      const distance = Math.hypot(
+        mouse.position.x - press.x,
+        mouse.position.y - press.y
+      );
+      if (
+        distance <= CLICK_MAX_DISTANCE &&
+        Date.now() - press.time <= CLICK_MAX_DURATION
+      ) {
+        if (press.profileId) {
+          setSelectedProfileId(press.profileId);
+        } else if (playRef.current.modes.has("confetti")) {
+          spawnConfetti({ ...mouse.position });
+        }
+      }
+      press = null;
+    };
+    Events.on(mouseConstraint, "mousedown", handlePress);
+    Events.on(mouseConstraint, "mouseup", handleRelease);
+
+    // Double-clicking empty space blasts everything outward
+    const handleDoubleClick = (e) => {
+      const { modes, explodeStrength } = playRef.current;
+      if (!modes.has("explode") || isControl(e.target)) return;
+      if (e.target.closest(".profile-item")) return;
+      const rect = containerRef.current.getBoundingClientRect();
+      explodeFrom(
+        allBodies(),
+        { x: e.clientX - rect.left, y: e.clientY - rect.top },
+        explodeStrength
+      );
+    };
+    containerRef.current.addEventListener("dblclick", handleDoubleClick);
+
+    // Holding the magnet key while the pointer is over the wall pulls
+    // nearby bodies toward the cursor
+    let magnetHeld = false;
+    let pointerInside = false;
+    const setMagnet = (held) => {
+      magnetHeld = held;
+      containerRef.current?.classList.toggle("cursor-crosshair", held);
+    };
+    const handleKeyDown = (e) => {
+      const { modes, magnetKey } = playRef.current;
+      if (!modes.has("magnet") || e.key.toLowerCase() !== magnetKey) return;
+      if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+      setMagnet(true);
+    };
+    const handleKeyUp = (e) => {
+      if (e.key.toLowerCase() === playRef.current.magnetKey) setMagnet(false);
+    };
+    const releaseMagnet = () => setMagnet(false);
+    const handlePointerEnter = () => {
+      pointerInside = true;
+    };
+    const handlePointerLeave = () => {
+      pointerInside = false;
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", releaseMagnet);
+    containerRef.current.addEventListener("pointerenter", handlePointerEnter);
+    containerRef.current.addEventListener("pointerleave", handlePointerLeave);
+
+    const applyMagnet = () => {
+      const { modes, magnetStrength } = playRef.current;
+      if (!magnetHeld || !pointerInside || !modes.has("magnet")) return;
+      attractTo(allBodies(), mouse.position, magnetStrength);
+    };
+    Events.on(engine, "beforeUpdate", applyMagnet);
+
     // Remove the extra mouse event handling since we're using the original mouse setup
     // The mouse constraint will handle all interactions automatically
 
-    World.add(engine.world, [
-      floor,
-      leftWall,
-      rightWall,
-      ceiling,
-      mouseConstraint,
-      ...wordBodies.map((wb) => wb.body),
-    ]);
-
-    const runner = Runner.create();
-    runnerRef.current = runner;
-    Runner.run(runner, engine);
-    Render.run(render);
-
-    const updateLoop = () => {
-      wordBodies.forEach(({ body, elem }) => {
-        const { x, y } = body.position;
-        elem.style.left = `${x}px`;
-        elem.style.top = `${y}px`;
-        elem.style.transform = `translate(-50%, -50%) rotate(${body.angle}rad)`;
+    World.add(engine.world, [...boundaries, mouseConstraint]);
+
+    engineRef.current = engine;
+    syncBodies(true);
+
+    // The canvas only shows anything in wireframe (debug) mode, so it is
+    // drawn once for the background and then only when wireframes are on
+    Render.world(render);
+
+    let lastTime = null;
+    let accumulator = 0;
+
+    const step = (time) => {
+      if (lastTime !== null) {
+        accumulator += Math.min(time - lastTime, MAX_FRAME_DELTA);
+      }
+      lastTime = time;
+
+      let steps = 0;
+      while (accumulator >= FIXED_DELTA && steps < MAX_STEPS_PER_FRAME) {
+        Engine.update(engine, FIXED_DELTA);
+        accumulator -= FIXED_DELTA;
+        steps++;
+      }
+      // Drop whatever the step cap left over instead of spiralling
+      if (steps === MAX_STEPS_PER_FRAME) accumulator = 0;
+
+      if (steps > 0) {
+        bodiesRef.current.forEach(({ body, elem }) => {
+          if (!body.isSleeping) placeCard(elem, body);
+        });
+        confetti.forEach(({ body, elem }) => {
+          if (!body.isSleeping) placeCard(elem, body);
+        });
+        if (wireframes) Render.world(render);
+      }
+
+      animationFrameRef.current = requestAnimationFrame(step);
+    };
+
+    const start = () => {
+      if (animationFrameRef.current !== null) return;
+      lastTime = null;
+      animationFrameRef.current = requestAnimationFrame(step);
+    };
+    const stop = () => {
+      if (animationFrameRef.current === null) return;
+      cancelAnimationFrame(animationFrameRef.current);
+      animationFrameRef.current = null;
+    };
+
+    // Resize the arena in place: move the boundaries, resize the canvas and
+    // pull any card that ended up outside back in, without a rebuild
+    let arenaWidth = width;
+    let arenaHeight = height;
+    const resizeObserver = new ResizeObserver(() => {
+      const rect = containerRef.current.getBoundingClientRect();
+      if (rect.width <= 0 || rect.height <= 0) return;
+      if (rect.width === arenaWidth && rect.height === arenaHeight) return;
+      arenaWidth = rect.width;
+      arenaHeight = rect.height;
+
+      World.remove(engine.world, boundaries);
+      boundaries = createBoundaries(arenaWidth, arenaHeight);
+      World.add(engine.world, boundaries);
+
+      render.options.width = arenaWidth;
+      render.options.height = arenaHeight;
+      render.bounds.max.x = arenaWidth;
+      render.bounds.max.y = arenaHeight;
+      Render.setPixelRatio(render, render.options.pixelRatio);
+      Render.world(render);
+
+      bodiesRef.current.forEach(({ body, elem }) => {
+        clampBody(body, arenaWidth, arenaHeight);
+        placeCard(elem, body);
+      });
+    });
+    resizeObserver.observe(containerRef.current);
+
+    // Attractor forces for `clusterByRole`: every role present gets an
+    // evenly spaced column and its cards are pulled sideways toward it,
+    // while gravity keeps stacking them from the floor up
+    const applyClusterForces = () => {
+      if (!clusterRef.current) return;
+
+      const present = new Set();
+      bodiesRef.current.forEach(({ role }) => present.add(role));
+      const columns = ROLES.filter((role) => present.has(role.id));
+      const strength = CLUSTER_FORCE * clusterRef.current.strength;
+
+      bodiesRef.current.forEach(({ body, role }) => {
+        if (body.isSleeping) return;
+        const column = columns.findIndex((entry) => entry.id === role);
+        const targetX = (arenaWidth * (column + 0.5)) / columns.length;
+        Body.applyForce(body, body.position, {
+          x: (targetX - body.position.x) * strength * body.mass,
+          y: 0,
+        });
+      });
+    };
+    Events.on(engine, "beforeUpdate", applyClusterForces);
+
+    // Pull search matches to the center of the arena and hold them there
+    const applySearchForces = () => {
+      const matches = searchRef.current;
+      if (!matches) return;
+
+      const { gravity } = engine;
+      bodiesRef.current.forEach(({ body }, id) => {
+        if (!matches.has(id)) return;
+        Sleeping.set(body, false);
+        Body.applyForce(body, body.position, {
+          x:
+            ((arenaWidth / 2 - body.position.x) * SEARCH_PULL -
+              body.velocity.x * SEARCH_DAMPING -
+              gravity.x * gravity.scale) *
+            body.mass,
+          y:
+            ((arenaHeight / 2 - body.position.y) * SEARCH_PULL -
+              body.velocity.y * SEARCH_DAMPING -
+              gravity.y * gravity.scale) *
+            body.mass,
+        });
       });
-      Matter.Engine.update(engine);
-      requestAnimationFrame(updateLoop);
     };
-    updateLoop();
+    Events.on(engine, "beforeUpdate", applySearchForces);
+
+    // Only simulate while the wall is actually on screen
+    const visibilityObserver = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) start();
+      else stop();
+    });
+    visibilityObserver.observe(containerRef.current);
 
     return () => {
-      Render.stop(render);
-      Runner.stop(runner);
+      Events.off(mouseConstraint, "mousedown", handlePress);
+      Events.off(mouseConstraint, "mouseup", handleRelease);
+      Events.off(engine, "beforeUpdate", applyClusterForces);
+      Events.off(engine, "beforeUpdate", applySearchForces);
+      Events.off(engine, "beforeUpdate", applyMagnet);
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", releaseMagnet);
+      const container = containerRef.current;
+      if (container) {
+        container.removeEventListener("dblclick", handleDoubleClick);
+        container.removeEventListener("pointerenter", handlePointerEnter);
+        container.removeEventListener("pointerleave", handlePointerLeave);
+        container.classList.remove("cursor-crosshair");
+      }
+      confettiTimeouts.forEach(clearTimeout);
+      confetti.forEach(({ elem }) => elem.remove());
+      visibilityObserver.disconnect();
+      resizeObserver.disconnect();
+      stop();
       if (render.canvas && canvasContainerRef.current) {
         canvasContainerRef.current.removeChild(render.canvas);
       }
       World.clear(engine.world);
       Engine.clear(engine);
+      engineRef.current = null;
+      bodiesRef.current.clear();
     };
   }, [
-    effectStarted,
+    matterLoaded,
+    reducedMotion,
     gravity,
     wireframes,
     backgroundColor,
     mouseConstraintStiffness,
-    profiles,
+    syncBodies,
   ]);
 
-  // Cleanup on unmount
-  // useEffect(() => {
-  //   return () => {
-  //     if (animationFrameRef.current) {
-  //       cancelAnimationFrame(animationFrameRef.current);
-  //     }
-  //     if (scrollTimeoutRef.current) {
-  //       clearTimeout(scrollTimeoutRef.current);
-  //     }
-  //   };
-  // }, []);
-
-  // Handle window resize for better responsiveness
+  // Clustering is read by the physics loop on every step, so toggling it
+  // never rebuilds the world; cards resting in place are woken to move
+  useEffect(() => {
+    clusterRef.current = clusterByRole ? { strength: clusterStrength } : null;
+    bodiesRef.current.forEach(({ body }) => Matter.Sleeping.set(body, false));
+  }, [clusterByRole, clusterStrength]);
+
+  // Search forces are read by the physics loop too. Everything is woken so
+  // matches start rising and, once cleared, all cards fall again.
   useEffect(() => {
-    const handleResize = () => {
-      if (effectStarted && containerRef.current) {
-        // Reset effect on resize to recalculate dimensions
-        setEffectStarted(false);
-        setTimeout(() => setEffectStarted(true), 100);
+    searchRef.current = searchMatches;
+    if (!Matter) return;
+    bodiesRef.current.forEach(({ body }) => Matter.Sleeping.set(body, false));
+  }, [searchMatches]);
+
+  // Tilt the gravity vector with the device. Readings are mapped into
+  // screen space so landscape phones fall the right way, and the engine is
+  // looked up per reading because the physics effect may rebuild it.
+  useEffect(() => {
+    if (!matterLoaded || !tiltGravity) return;
+
+    const unsubscribe = orientationSource(({ beta, gamma }) => {
+      const engine = engineRef.current;
+      if (!engine) return;
+
+      const tiltX = Math.sin(gamma * DEG_TO_RAD) * tiltStrength;
+      const tiltY = Math.sin(beta * DEG_TO_RAD) * tiltStrength;
+      const screenAngle = (window.screen?.orientation?.angle || 0) * DEG_TO_RAD;
+      const cos = Math.cos(screenAngle);
+      const sin = Math.sin(screenAngle);
+      const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+      const x = clamp(tiltX * cos + tiltY * sin) * gravity;
+      const y = clamp(tiltY * cos - tiltX * sin) * gravity;
+      const changed =
+        Math.abs(engine.gravity.x - x) + Math.abs(engine.gravity.y - y) > 0.01;
+
+      engine.gravity.x = x;
+      engine.gravity.y = y;
+      // Sleeping cards ignore gravity, so wake them when it swings
+      if (changed) {
+        bodiesRef.current.forEach(({ body }) =>
+          Matter.Sleeping.set(body, false)
+        );
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      if (engineRef.current) {
+        engineRef.current.gravity.x = 0;
+        engineRef.current.gravity.y = gravity;
       }
     };
+  }, [matterLoaded, tiltGravity, tiltStrength, gravity, orientationSource]);
+
+  // The wall as it is right now, for image export: physics bodies where
+  // they exist, laid-out positions otherwise (static grid, before physics)
+  const getSnapshot = useCallback(() => {
+    const containerRect = containerRef.current.getBoundingClientRect();
+    const profilesById = new Map(
+      profiles.map((profile) => [profile.id, profile])
+    );
+    const items = [...profilesRef.current.querySelectorAll(".profile-item")]
+      .filter(
+        (elem) =>
+          !elem.dataset.leaving && profilesById.has(elem.dataset.profileId)
+      )
+      .map((elem) => {
+        const id = elem.dataset.profileId;
+        const body = bodiesRef.current.get(id)?.body;
+        const rect = elem.getBoundingClientRect();
+        return {
+          profile: profilesById.get(id),
+          x: body
+            ? body.position.x
+            : rect.left - containerRect.left + rect.width / 2,
+          y: body
+            ? body.position.y
+            : rect.top - containerRect.top + rect.height / 2,
+          angle: body ? body.angle : 0,
+          width: elem.offsetWidth,
+          height: elem.offsetHeight,
+          shape: elem.dataset.shape,
+        };
+      });
+
+    return {
+      width: containerRect.width,
+      height: containerRect.height,
+      fontFamily: getComputedStyle(containerRef.current).fontFamily,
+      items,
+    };
+  }, [profiles]);
 
-    window.addEventListener("resize", handleResize);
-    return () => window.removeEventListener("resize", handleResize);
-  }, [effectStarted]);
+  const selectedProfile = profiles.find(
+    (profile) => String(profile.id) === selectedProfileId
+  );
 
   return (
     <>
       <div
         ref={containerRef}
-        className="relative z-[1] mx-auto max-w-3xl h-screen text-center pt-4 pb-8 px-4 rounded-2xl border border-gray-700 shadow-lg overflow-hidden"
+        className={`relative z-[1] mx-auto max-w-3xl h-screen text-center pt-4 pb-8 px-4 rounded-2xl border border-gray-700 shadow-lg ${
+          reducedMotion ? "overflow-y-auto" : "overflow-hidden"
+        }`}
       >
         {/* Add Profile Button */}
-        <div className="mb-6 absolute top-4 right-4">
+        <div
+          ref={shieldFromWall}
+          className="mb-6 absolute top-4 right-4 flex items-center gap-2"
+        >
+          <button
+            type="button"
+            onClick={() => setIsExportOpen(true)}
+            aria-label="Export image"
+            title="Export image"
+            className="p-3 text-gray-300 hover:text-white rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 relative z-10 cursor-pointer"
+          >
+            <ImageDown size={20} />
+          </button>
           <button
             onClick={() => {
               setIsModalOpen(true);
+              // A queued submission keeps its place until it's sent
+              if (queuedForm) return;
               setError("");
-              setFormData({ username: "" });
+              setFormData(EMPTY_FORM);
+              setSubmittedProfile(null);
+              setSubmittedEditLink("");
             }}
             className="text-white font-semibold py-3 px-6 rounded-lg shadow-lg transition-all duration-300 transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 focus:ring-offset-gray-900 relative z-10 cursor-pointer"
           >
-            Add Your Profile <Github className="inline-block ml-2" />
+            Add Your Profile <Users className="inline-block ml-2" />
           </button>
         </div>
+        {playModes.length > 0 && !reducedMotion && (
+          <PlayModeToggle
+            ref={shieldFromWall}
+            modes={playModes}
+            active={activePlayModes}
+            onToggle={togglePlayMode}
+            magnetKey={magnetKey}
+            className="absolute top-4 left-4 z-10"
+          />
+        )}
+        {/* Wall Search */}
+        <div
+          ref={shieldFromWall}
+          role="search"
+          className="absolute top-20 left-1/2 -translate-x-1/2 z-10 w-56"
+        >
+          <label htmlFor="wall-search" className="sr-only">
+            Find a contributor on the wall
+          </label>
+          <Search
+            size={16}
+            className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none"
+          />
+          <input
+            type="search"
+            id="wall-search"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Find someone"
+            className="w-full pl-9 pr-3 py-2 bg-gray-800/70 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+          />
+          <p className="sr-only" aria-live="polite">
+            {searchMatches &&
+              (searchMatches.size === 1
+                ? "1 contributor found"
+                : `${searchMatches.size} contributors found`)}
+          </p>
+        </div>
         <div className="inset-0 z-[-1] w-full h-full absolute flex items-center justify-center text-gray-600">
           <h2 className="text-4xl font-black text-center">
             Contributors
           </h2>
         </div>
         {/* Profiles Container */}
-        <div ref={profilesRef} className="block min-h-[800px]" />
+        {!reducedMotion && (
+          <p id={keyboardHintId} className="sr-only">
+            Use the arrow keys to nudge a card, Enter to open its details.
+          </p>
+        )}
+        <div
+          ref={profilesRef}
+          role="list"
+          aria-label="Contributors"
+          onKeyDown={handleCardKeyDown}
+          className={
+            reducedMotion
+              ? "grid grid-cols-[repeat(auto-fill,minmax(14rem,1fr))] justify-items-center pt-16"
+              : "block min-h-[800px]"
+          }
+        >
+          {wallProfiles.map(({ leaving, ...profile }) => (
+            <ProfileCard
+              key={profile.id}
+              profile={profile}
+              leaving={leaving}
+              radius={radii?.get(profile.id)}
+              describedBy={reducedMotion ? undefined : keyboardHintId}
+              highlight={
+                searchMatches && !leaving
+                  ? searchMatches.has(profile.id)
+                    ? "match"
+                    : "dimmed"
+                  : undefined
+              }
+            />
+          ))}
+        </div>
+
+        {/* Decorative confetti, filled in by the physics loop */}
+        <div
+          ref={confettiLayerRef}
+          className="absolute inset-0 pointer-events-none"
+          aria-hidden="true"
+        />
+
+        <RoleLegend
+          roles={wallRoles}
+          className="absolute bottom-4 left-4 z-10 pointer-events-none"
+        />
 
         {/* Show message when no profiles */}
-        {profiles.length === 0 && (
+        {profilesLoaded && profiles.length === 0 && (
           <div className="text-gray-400 text-center py-8">
             <p className="text-lg">No profiles added yet!</p>
             <p className="text-sm mt-2">
@@ -452,75 +1712,363 @@ const ProfileContainer = ({
         <div className="absolute top-0 left-0 z-0" ref={canvasContainerRef} />
       </div>
 
+      <WallExportDialog
+        isOpen={isExportOpen}
+        onClose={() => setIsExportOpen(false)}
+        getSnapshot={getSnapshot}
+      />
+
+      {/* Modal for Profile Details */}
+      <Modal
+        isOpen={Boolean(selectedProfile)}
+        onClose={() => setSelectedProfileId(null)}
+      >
+        {selectedProfile && (
+          <ProfileDetails
+            profile={selectedProfile}
+            onEdit={
+              getEditToken(selectedProfile.id)
+                ? () => {
+                    setSelectedProfileId(null);
+                    setEditing({
+                      id: selectedProfile.id,
+                      token: getEditToken(selectedProfile.id),
+                    });
+                  }
+                : undefined
+            }
+          />
+        )}
+      </Modal>
+
+      <ProfileEditDialog
+        edit={editing}
+        onClose={() => setEditing(null)}
+        onSaved={handleProfileSaved}
+        onDeleted={handleProfileDeleted}
+      />
+
       {/* Modal for Adding Profile */}
       <Modal isOpen={isModalOpen} onClose={() => {
         setIsModalOpen(false);
         setError("");
-        setFormData({ username: "" });
+        setFormData(EMPTY_FORM);
       }}>
         <div className="space-y-6">
           <h2 className="text-2xl font-bold text-center bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
-            Add GitHub Profile
+            Add Your Profile
           </h2>
 
-          <form onSubmit={handleAddProfile} className="space-y-4">
-            <div>
-              <label
-                htmlFor="username"
-                className="block text-sm font-medium text-gray-300 mb-2"
-              >
-                GitHub Username
-              </label>
-              <input
-                type="text"
-                id="username"
-                value={formData.username}
-                onChange={(e) => handleInputChange(e.target.value)}
-                placeholder="Enter GitHub username (e.g., torvalds)"
-                className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
-                required
-                disabled={isLoading}
-              />
-              <p className="text-xs text-gray-400 mt-1">
-                We'll automatically fetch the profile name and photo from GitHub
+          {submittedProfile ? (
+            <div className="space-y-4 text-center">
+              <p className="text-gray-300">
+                Thanks, {submittedProfile.name}! Your profile will appear on the
+                wall once a moderator approves it.
               </p>
+              {submittedEditLink && (
+                <div className="space-y-2 text-left">
+                  <label
+                    htmlFor="edit-link"
+                    className="block text-sm font-medium text-gray-300"
+                  >
+                    Keep this link to edit or remove your profile later. It
+                    won&apos;t be shown again.
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      id="edit-link"
+                      type="text"
+                      readOnly
+                      value={submittedEditLink}
+                      onFocus={(e) => e.target.select()}
+                      className="flex-1 min-w-0 px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white"
+                    />
+                    <button
+                      type="button"
+                      onClick={() =>
+                        navigator.clipboard
+                          ?.writeText(submittedEditLink)
+                          .then(() => setLinkCopied(true))
+                          .catch(() => {})
+                      }
+                      aria-label="Copy edit link"
+                      title="Copy edit link"
+                      className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+                    >
+                      <Copy size={16} />
+                    </button>
+                  </div>
+                  {linkCopied && (
+                    <p className="text-xs text-gray-400" role="status">
+                      Copied
+                    </p>
+                  )}
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={() => setIsModalOpen(false)}
+                className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+              >
+                Close
+              </button>
             </div>
-
-            {error && (
-              <div className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3">
-                {error}
-              </div>
-            )}
-
-            <div className="flex gap-3 pt-4">
+          ) : queuedForm ? (
+            <div className="space-y-4 text-center" role="status">
+              <p className="text-gray-300">
+                {isLoading
+                  ? "You're back online, submitting your profile..."
+                  : "You're offline. Your profile will be submitted as soon as your connection is back."}
+              </p>
               <button
                 type="button"
                 onClick={() => {
-                  setIsModalOpen(false);
-                  setError("");
-                  setFormData({ username: "" });
+                  setFormData(queuedForm);
+                  setQueuedForm(null);
                 }}
-                className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+                className="w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
                 disabled={isLoading}
               >
-                Cancel
+                Cancel and edit
               </button>
-              <button
-                type="submit"
-                className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
-                disabled={isLoading}
+            </div>
+          ) : (
+            <form onSubmit={handleAddProfile} className="space-y-4">
+              {/* Provider Picker */}
+              <div
+                role="radiogroup"
+                aria-label="Profile provider"
+                className="flex flex-wrap justify-center gap-2"
               >
-                {isLoading ? (
-                  <div className="flex items-center justify-center gap-2">
-                    <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                    Fetching...
+                {PROVIDERS.map((provider) => (
+                  <button
+                    key={provider.id}
+                    type="button"
+                    role="radio"
+                    aria-checked={formData.provider === provider.id}
+                    onClick={() => handleInputChange("provider", provider.id)}
+                    className={`flex items-center gap-2 px-3 py-1.5 text-sm rounded-lg border transition-colors duration-200 ${
+                      formData.provider === provider.id
+                        ? "border-blue-500 bg-blue-500/20 text-white"
+                        : "border-gray-700 bg-gray-800/50 text-gray-400 hover:text-white"
+                    }`}
+                    disabled={isLoading}
+                  >
+                    <ProviderIcon provider={provider.id} size={16} />
+                    {provider.label}
+                  </button>
+                ))}
+              </div>
+
+              {formData.provider === "manual" ? (
+                <>
+                  <div>
+                    <label
+                      htmlFor="name"
+                      className="block text-sm font-medium text-gray-300 mb-2"
+                    >
+                      Display Name
+                    </label>
+                    <input
+                      type="text"
+                      id="name"
+                      value={formData.name}
+                      onChange={(e) => handleInputChange("name", e.target.value)}
+                      placeholder="Enter your name"
+                      className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+                      required
+                      disabled={isLoading}
+                    />
                   </div>
-                ) : (
-                  "Add Profile"
-                )}
-              </button>
-            </div>
-          </form>
+                  <div>
+                    <label
+                      htmlFor="profileUrl"
+                      className="block text-sm font-medium text-gray-300 mb-2"
+                    >
+                      Website (optional)
+                    </label>
+                    <input
+                      type="url"
+                      id="profileUrl"
+                      value={formData.profileUrl}
+                      onChange={(e) =>
+                        handleInputChange("profileUrl", e.target.value)
+                      }
+                      placeholder="https://example.com"
+                      className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+                      disabled={isLoading}
+                    />
+                  </div>
+                  <div>
+                    <span className="block text-sm font-medium text-gray-300 mb-2">
+                      Photo (optional)
+                    </span>
+                    <div className="flex items-center gap-3">
+                      {avatarPreview ? (
+                        <img
+                          src={avatarPreview}
+                          alt=""
+                          className="w-12 h-12 rounded-full object-cover border-2 border-gray-600"
+                        />
+                      ) : (
+                        <div className="w-12 h-12 rounded-full bg-gray-800 border-2 border-gray-700 flex items-center justify-center text-gray-500">
+                          <ImagePlus size={20} />
+                        </div>
+                      )}
+                      <label className="cursor-pointer px-3 py-1.5 text-sm rounded-lg border border-gray-700 bg-gray-800/50 text-gray-300 hover:text-white focus-within:ring-2 focus-within:ring-blue-500">
+                        {formData.avatarFile ? "Change image" : "Upload image"}
+                        <input
+                          type="file"
+                          accept={AVATAR_UPLOAD_TYPES.join(",")}
+                          onChange={handleAvatarFile}
+                          className="sr-only"
+                          disabled={isLoading}
+                        />
+                      </label>
+                      {formData.avatarFile && (
+                        <button
+                          type="button"
+                          onClick={() => handleInputChange("avatarFile", null)}
+                          className="text-sm text-gray-400 hover:text-white"
+                          disabled={isLoading}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-1">
+                      PNG, JPEG, WebP or GIF up to{" "}
+                      {MAX_AVATAR_UPLOAD_BYTES / 1024 / 1024} MB, cropped to a
+                      square
+                    </p>
+                  </div>
+                </>
+              ) : (
+                <div>
+                  <label
+                    htmlFor="handle"
+                    className="block text-sm font-medium text-gray-300 mb-2"
+                  >
+                    {getProvider(formData.provider).handleLabel}
+                  </label>
+                  <input
+                    type={formData.provider === "gravatar" ? "email" : "text"}
+                    id="handle"
+                    value={formData.handle}
+                    onChange={(e) => handleInputChange("handle", e.target.value)}
+                    placeholder={getProvider(formData.provider).placeholder}
+                    className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+                    required
+                    disabled={isLoading}
+                  />
+                  <p className="text-xs text-gray-400 mt-1">
+                    We'll automatically fetch the profile name and photo from{" "}
+                    {getProvider(formData.provider).label}
+                  </p>
+                </div>
+              )}
+
+              {/* Honeypot: kept off screen and out of the tab order */}
+              <div aria-hidden="true" className="absolute -left-[9999px]">
+                <label htmlFor={HONEYPOT_FIELD}>Leave this field empty</label>
+                <input
+                  id={HONEYPOT_FIELD}
+                  name={HONEYPOT_FIELD}
+                  type="text"
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={formData[HONEYPOT_FIELD]}
+                  onChange={(e) =>
+                    handleInputChange(HONEYPOT_FIELD, e.target.value)
+                  }
+                />
+              </div>
+
+              <div>
+                <label
+                  htmlFor="tagline"
+                  className="block text-sm font-medium text-gray-300 mb-2"
+                >
+                  Tagline (optional)
+                </label>
+                <input
+                  type="text"
+                  id="tagline"
+                  value={formData.tagline}
+                  onChange={(e) => handleInputChange("tagline", e.target.value)}
+                  placeholder="What you work on, in a line"
+                  maxLength={160}
+                  className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+                  disabled={isLoading}
+                />
+              </div>
+
+              <div>
+                <label
+                  htmlFor="role"
+                  className="block text-sm font-medium text-gray-300 mb-2"
+                >
+                  Role
+                </label>
+                <select
+                  id="role"
+                  value={formData.role}
+                  onChange={(e) => handleInputChange("role", e.target.value)}
+                  className="w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white"
+                  disabled={isLoading}
+                >
+                  {ROLES.map((role) => (
+                    <option key={role.id} value={role.id}>
+                      {role.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {error && (
+                <div
+                  role="alert"
+                  className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3"
+                >
+                  {error}
+                </div>
+              )}
+              {retryIn > 0 && (
+                <p className="text-sm text-center text-gray-400">
+                  You can try again in {formatWait(retryIn)}
+                </p>
+              )}
+
+              <div className="flex gap-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setIsModalOpen(false);
+                    setError("");
+                    setFormData(EMPTY_FORM);
+                  }}
+                  className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+                  disabled={isLoading}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+                  disabled={isLoading || retryIn > 0}
+                >
+                  {isLoading ? (
+                    <div className="flex items-center justify-center gap-2">
+                      <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                      Fetching...
+                    </div>
+                  ) : (
+                    "Add Profile"
+                  )}
+                </button>
+              </div>
+            </form>
+          )}
         </div>
       </Modal>
     </>
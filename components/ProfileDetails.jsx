@@ -0,0 +1,152 @@
+"use client";
+import { useEffect, useState } from "react";
+import { BookMarked, ExternalLink, Pencil, Users } from "lucide-react";
+import ProviderIcon from "./ProviderIcon";
+import { avatarSrc } from "@/lib/avatars";
+
+// Details rarely change while the page is open, so keep them for the session
+const detailsCache = new Map();
+
+const loadDetails = (username) => {
+  const key = username.toLowerCase();
+  if (!detailsCache.has(key)) {
+    const request = fetch(
+      `/api/github/${encodeURIComponent(username)}/details`
+    ).then(async (response) => {
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Failed to fetch profile data");
+      }
+      return data;
+    });
+    // Drop failed lookups so reopening the popover retries them
+    request.catch(() => detailsCache.delete(key));
+    detailsCache.set(key, request);
+  }
+  return detailsCache.get(key);
+};
+
+/**
+ * ProfileDetails Component
+ *
+ * Modal content for a contributor card that was clicked rather than dragged.
+ * Shows what the card itself has room for: bio, repo and follower counts,
+ * top languages and a link to the profile.
+ *
+ * `onEdit` is only passed when this browser holds the profile's edit token.
+ */
+const ProfileDetails = ({ profile, onEdit }) => {
+  // Extended details are only available for GitHub profiles
+  const username = profile.provider === "github" ? profile.username : null;
+  const [state, setState] = useState({ details: null, error: "" });
+
+  useEffect(() => {
+    if (!username) return;
+
+    let cancelled = false;
+    setState({ details: null, error: "" });
+    loadDetails(username)
+      .then((details) => {
+        if (!cancelled) setState({ details, error: "" });
+      })
+      .catch((err) => {
+        if (!cancelled) setState({ details: null, error: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  const { details, error } = state;
+  const isLoading = Boolean(username) && !details && !error;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col items-center gap-3 text-center">
+        <img
+          src={avatarSrc(profile, 80)}
+          alt={profile.name}
+          className="w-20 h-20 rounded-full object-cover border-2 border-gray-600"
+        />
+        <div>
+          <h2 className="text-2xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+            {profile.name}
+          </h2>
+          {profile.username && (
+            <p className="text-sm text-gray-400 flex items-center justify-center gap-1">
+              <ProviderIcon provider={profile.provider} size={14} />@
+              {profile.username}
+            </p>
+          )}
+          {profile.tagline && (
+            <p className="mt-2 text-gray-300">{profile.tagline}</p>
+          )}
+        </div>
+      </div>
+
+      {isLoading && (
+        <div className="flex justify-center py-4">
+          <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3">
+          {error}
+        </div>
+      )}
+
+      {details && (
+        <div className="space-y-4">
+          {details.bio && (
+            <p className="text-gray-300 text-center">{details.bio}</p>
+          )}
+          <div className="flex justify-center gap-6 text-sm text-gray-300">
+            <span className="flex items-center gap-2">
+              <BookMarked size={16} /> {details.publicRepos} repos
+            </span>
+            <span className="flex items-center gap-2">
+              <Users size={16} /> {details.followers} followers
+            </span>
+          </div>
+          {details.topLanguages.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-2">
+              {details.topLanguages.map((language) => (
+                <span
+                  key={language}
+                  className="px-3 py-1 text-xs rounded-full bg-gray-800/50 border border-gray-700 text-gray-300"
+                >
+                  {language}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {profile.profileUrl && (
+        <a
+          href={profile.profileUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center justify-center gap-2 w-full px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200"
+        >
+          View Profile <ExternalLink size={16} />
+        </a>
+      )}
+
+      {onEdit && (
+        <button
+          type="button"
+          onClick={onEdit}
+          className="flex items-center justify-center gap-2 w-full px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+        >
+          Edit your profile <Pencil size={16} />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ProfileDetails;
@@ -0,0 +1,227 @@
+"use client";
+import { useEffect, useState } from "react";
+import Modal from "./Modal";
+import { requestJson } from "@/lib/requestJson";
+import { DEFAULT_ROLE, ROLES } from "@/lib/roles";
+
+const inputClassName =
+  "w-full px-4 py-2 bg-gray-800/50 border border-gray-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400";
+
+const ProfileEditForm = ({ id, token, onSaved, onDeleted, onClose }) => {
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [error, setError] = useState("");
+
+  const endpoint = `/api/profiles/${encodeURIComponent(id)}`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    requestJson(endpoint, {
+      headers: { Authorization: `Bearer ${token}` },
+      signal: controller.signal,
+    })
+      .then(({ profile }) =>
+        setForm({
+          name: profile.name,
+          tagline: profile.tagline || "",
+          role: profile.role || DEFAULT_ROLE,
+        })
+      )
+      .catch((err) => {
+        if (err.name !== "AbortError") setError(err.message);
+      });
+    return () => controller.abort();
+  }, [endpoint, token]);
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+    if (error) setError("");
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError("");
+    try {
+      const { profile } = await requestJson(endpoint, {
+        method: "PATCH",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+        retries: 0,
+      });
+      onSaved(profile);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    setIsSaving(true);
+    setError("");
+    try {
+      const { profile } = await requestJson(endpoint, {
+        method: "DELETE",
+        headers,
+        retries: 0,
+      });
+      onDeleted(profile);
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  if (!form) {
+    return error ? (
+      <div className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3">
+        {error}
+      </div>
+    ) : (
+      <div className="flex justify-center py-4">
+        <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="space-y-4">
+      <div>
+        <label
+          htmlFor="edit-name"
+          className="block text-sm font-medium text-gray-300 mb-2"
+        >
+          Display Name
+        </label>
+        <input
+          type="text"
+          id="edit-name"
+          value={form.name}
+          onChange={(e) => handleChange("name", e.target.value)}
+          className={inputClassName}
+          maxLength={100}
+          required
+          disabled={isSaving}
+        />
+      </div>
+
+      <div>
+        <label
+          htmlFor="edit-tagline"
+          className="block text-sm font-medium text-gray-300 mb-2"
+        >
+          Tagline (optional)
+        </label>
+        <input
+          type="text"
+          id="edit-tagline"
+          value={form.tagline}
+          onChange={(e) => handleChange("tagline", e.target.value)}
+          placeholder="What you work on, in a line"
+          className={inputClassName}
+          maxLength={160}
+          disabled={isSaving}
+        />
+      </div>
+
+      <div>
+        <label
+          htmlFor="edit-role"
+          className="block text-sm font-medium text-gray-300 mb-2"
+        >
+          Role
+        </label>
+        <select
+          id="edit-role"
+          value={form.role}
+          onChange={(e) => handleChange("role", e.target.value)}
+          className={inputClassName}
+          disabled={isSaving}
+        >
+          {ROLES.map((role) => (
+            <option key={role.id} value={role.id}>
+              {role.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-sm text-gray-400">
+        Changes are checked by a moderator, so your profile leaves the wall
+        until they're approved.
+      </p>
+
+      {error && (
+        <div
+          role="alert"
+          className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3"
+        >
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-3 pt-4">
+        <button
+          type="button"
+          onClick={handleDelete}
+          className="flex-1 px-4 py-2 bg-red-900/40 hover:bg-red-800/60 border border-red-700 text-red-200 rounded-lg transition-colors duration-200 disabled:opacity-50"
+          disabled={isSaving}
+        >
+          {confirmDelete ? "Really remove?" : "Remove"}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+          disabled={isSaving}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          disabled={isSaving}
+        >
+          {isSaving ? "Saving..." : "Save"}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * ProfileEditDialog Component
+ *
+ * Lets contributors change their own display name, tagline and role, or
+ * remove their entry. `edit` is the `{ id, token }` pair from the edit
+ * token handed out when the profile was submitted; the server checks the
+ * token on every request. Saved changes go back to the moderation queue.
+ */
+const ProfileEditDialog = ({ edit, onClose, onSaved, onDeleted }) => (
+  <Modal isOpen={Boolean(edit)} onClose={onClose}>
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-center bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+        Edit Your Profile
+      </h2>
+      {edit && (
+        <ProfileEditForm
+          key={edit.id}
+          id={edit.id}
+          token={edit.token}
+          onSaved={onSaved}
+          onDeleted={onDeleted}
+          onClose={onClose}
+        />
+      )}
+    </div>
+  </Modal>
+);
+
+export default ProfileEditDialog;
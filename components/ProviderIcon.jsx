@@ -0,0 +1,20 @@
+import { CircleUser, Github, Gitlab, Mountain, PenLine } from "lucide-react";
+
+const ICONS = {
+  github: Github,
+  gitlab: Gitlab,
+  codeberg: Mountain,
+  gravatar: CircleUser,
+  manual: PenLine,
+};
+
+/**
+ * Icon for the provider a profile came from. Unknown providers fall back
+ * to the GitHub mark, which is where every legacy profile came from.
+ */
+const ProviderIcon = ({ provider, ...props }) => {
+  const Icon = ICONS[provider] || Github;
+  return <Icon {...props} />;
+};
+
+export default ProviderIcon;
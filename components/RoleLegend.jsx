@@ -0,0 +1,31 @@
+import { ROLES } from "@/lib/roles";
+
+/**
+ * RoleLegend Component
+ *
+ * Key for the role border colors, listing only the roles present in
+ * `roles` (a set of role ids) in their canonical order.
+ */
+const RoleLegend = ({ roles, className = "" }) => {
+  const visibleRoles = ROLES.filter((role) => roles.has(role.id));
+  if (visibleRoles.length === 0) return null;
+
+  return (
+    <ul
+      aria-label="Role colors"
+      className={`flex flex-wrap gap-3 text-xs text-gray-300 ${className}`}
+    >
+      {visibleRoles.map((role) => (
+        <li key={role.id} className="flex items-center gap-1">
+          <span
+            className="w-3 h-3 rounded-full border-2"
+            style={{ borderColor: role.color }}
+          />
+          {role.label}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default RoleLegend;
@@ -0,0 +1,143 @@
+"use client";
+import { useState } from "react";
+import Modal from "./Modal";
+import {
+  EXPORT_FORMATS,
+  EXPORT_SCALES,
+  downloadBlob,
+  exportWall,
+} from "@/lib/wallSnapshot";
+
+/**
+ * WallExportDialog Component
+ *
+ * Lets a visitor download the current frame of the wall as a PNG or SVG.
+ * `getSnapshot` is called when the export starts, so the image shows the
+ * wall as it was at that moment.
+ */
+const WallExportDialog = ({ isOpen, onClose, getSnapshot }) => {
+  const [format, setFormat] = useState("png");
+  const [scale, setScale] = useState(2);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setIsExporting(true);
+    setError("");
+    try {
+      const { blob, filename } = await exportWall(getSnapshot(), {
+        format,
+        scale,
+      });
+      downloadBlob(blob, filename);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose}>
+      <form onSubmit={handleExport} className="space-y-6">
+        <h2 className="text-2xl font-bold text-center bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+          Export Image
+        </h2>
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-300 mb-2">
+            Format
+          </legend>
+          <div className="flex gap-2">
+            {EXPORT_FORMATS.map((option) => (
+              <label
+                key={option}
+                className={`flex-1 px-4 py-2 text-center rounded-lg border cursor-pointer transition-colors duration-200 ${
+                  format === option
+                    ? "border-blue-500 bg-blue-500/20 text-white"
+                    : "border-gray-700 bg-gray-800/50 text-gray-400 hover:text-white"
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="format"
+                  value={option}
+                  checked={format === option}
+                  onChange={() => setFormat(option)}
+                  className="sr-only"
+                />
+                {option.toUpperCase()}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-300 mb-2">
+            Resolution
+          </legend>
+          <div className="flex gap-2">
+            {EXPORT_SCALES.map((option) => (
+              <label
+                key={option}
+                className={`flex-1 px-4 py-2 text-center rounded-lg border cursor-pointer transition-colors duration-200 ${
+                  scale === option
+                    ? "border-blue-500 bg-blue-500/20 text-white"
+                    : "border-gray-700 bg-gray-800/50 text-gray-400 hover:text-white"
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="scale"
+                  value={option}
+                  checked={scale === option}
+                  onChange={() => setScale(option)}
+                  className="sr-only"
+                />
+                {option}x
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400 mt-1">
+            Times the size the wall has on your screen
+          </p>
+        </fieldset>
+
+        {error && (
+          <div className="text-red-400 text-sm text-center bg-red-900/20 border border-red-700 rounded-lg p-3">
+            {error}
+          </div>
+        )}
+
+        <div className="flex gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200"
+            disabled={isExporting}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            disabled={isExporting}
+          >
+            {isExporting ? (
+              <div className="flex items-center justify-center gap-2">
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                Rendering...
+              </div>
+            ) : (
+              "Download"
+            )}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default WallExportDialog;
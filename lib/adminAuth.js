@@ -0,0 +1,53 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * Admin authentication
+ *
+ * Admin-only routes are unlocked with the `ADMIN_TOKEN` environment
+ * variable. Scripts send it as `Authorization: Bearer <token>`; the `/admin`
+ * page trades it for a signed, http-only session cookie. Without the
+ * variable set, every admin request is rejected.
+ */
+
+export const ADMIN_COOKIE = "umakeit_admin";
+export const ADMIN_SESSION_MAX_AGE = 12 * 60 * 60; // seconds
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+const sign = (value) =>
+  createHmac("sha256", process.env.ADMIN_TOKEN).update(value).digest("hex");
+
+export const isAdminToken = (token) => {
+  const expected = process.env.ADMIN_TOKEN;
+  return Boolean(expected && token) && safeEqual(token, expected);
+};
+
+/**
+ * Create a session cookie value: the expiry time and its signature.
+ */
+export const createAdminSession = () => {
+  const expires = String(Date.now() + ADMIN_SESSION_MAX_AGE * 1000);
+  return `${expires}.${sign(expires)}`;
+};
+
+const isValidSession = (session) => {
+  if (!process.env.ADMIN_TOKEN || !session) return false;
+  const [expires, signature] = session.split(".");
+  return (
+    Boolean(expires && signature) &&
+    Number(expires) > Date.now() &&
+    safeEqual(signature, sign(expires))
+  );
+};
+
+export const isAdminRequest = (request) => {
+  const header = request.headers.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme === "Bearer" && isAdminToken(token)) return true;
+
+  return isValidSession(request.cookies.get(ADMIN_COOKIE)?.value);
+};
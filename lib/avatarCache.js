@@ -0,0 +1,125 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { createHash, randomUUID } from "crypto";
+import sharp from "sharp";
+import { fetchAvatar } from "./avatarProxy";
+import { readAvatarUpload } from "./avatarUploads";
+import { identicon } from "./identicon";
+import { ProviderError } from "./providers/ProviderError";
+
+/**
+ * Avatar cache
+ *
+ * Serves every avatar from our own origin. Remote avatars are fetched
+ * through the avatar proxy, cropped to a square, resized and kept on disk,
+ * so the wall keeps working when the avatar host is slow or unreachable
+ * and visitors' browsers never talk to it. Profiles without an avatar, or
+ * whose avatar can't be fetched, get a generated identicon instead.
+ *
+ * Cached files live in `data/avatars` unless `AVATAR_CACHE_DIR` points
+ * elsewhere, and are refreshed once a day. Uploaded avatars are already
+ * stored locally and skip the cache.
+ */
+
+const CACHE_DIR =
+  process.env.AVATAR_CACHE_DIR || path.join(process.cwd(), "data", "avatars");
+
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const CONTENT_TYPE = "image/webp";
+
+const cachePath = (url, size) =>
+  path.join(
+    CACHE_DIR,
+    `${createHash("sha256").update(url).digest("hex").slice(0, 32)}-${size}.webp`
+  );
+
+const readCached = async (file) => {
+  try {
+    const [stats, body] = await Promise.all([fs.stat(file), fs.readFile(file)]);
+    return { body, fresh: Date.now() - stats.mtimeMs < MAX_AGE_MS };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+const writeCached = async (file, body) => {
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  // Write to a temp file first so a reader never sees half an image. The
+  // name is unique so concurrent requests for one avatar don't collide.
+  const tempPath = `${file}.${randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, body);
+  await fs.rename(tempPath, file);
+};
+
+const resize = (body, size) =>
+  sharp(body)
+    .rotate()
+    .resize(size, size, { fit: "cover" })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+const renderIdenticon = (seed, size) => {
+  const { data, ...raw } = identicon(seed, size);
+  return sharp(data, { raw }).webp({ lossless: true }).toBuffer();
+};
+
+// The profile's own avatar, or null when it has none that can be served
+const loadOwnAvatar = async (profile, size) => {
+  if (profile.avatarUpload) {
+    try {
+      const body = await readAvatarUpload(profile.avatarUpload, size);
+      if (body) return { body, contentType: CONTENT_TYPE, generated: false };
+    } catch (err) {
+      console.error("Avatar upload unreadable:", err);
+    }
+  }
+
+  const url = profile.avatarUrl;
+
+  if (url) {
+    const file = cachePath(url, size);
+    const cached = await readCached(file).catch((err) => {
+      console.error("Avatar cache read failed:", err);
+      return null;
+    });
+    if (cached?.fresh) {
+      return { body: cached.body, contentType: CONTENT_TYPE, generated: false };
+    }
+
+    try {
+      const { body } = await fetchAvatar(url);
+      const resized = await resize(Buffer.from(body), size);
+      await writeCached(file, resized).catch((err) =>
+        console.error("Avatar cache write failed:", err)
+      );
+      return { body: resized, contentType: CONTENT_TYPE, generated: false };
+    } catch (err) {
+      if (!(err instanceof ProviderError)) {
+        console.error("Avatar processing failed:", err);
+      }
+      // A stale copy still beats swapping the picture for an identicon
+      if (cached) {
+        return {
+          body: cached.body,
+          contentType: CONTENT_TYPE,
+          generated: false,
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve `profile`'s avatar, `size` pixels square, to
+ * `{ body, contentType, generated }`. `generated` is true when the image is
+ * an identicon rather than the profile's own avatar.
+ */
+export const loadAvatar = async (profile, size) =>
+  (await loadOwnAvatar(profile, size)) || {
+    body: await renderIdenticon(profile.username || profile.name, size),
+    contentType: CONTENT_TYPE,
+    generated: true,
+  };
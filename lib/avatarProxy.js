@@ -0,0 +1,115 @@
+import { ProviderError } from "./providers/ProviderError";
+
+/**
+ * Avatar proxy
+ *
+ * Fetches avatar images on the server so the browser loads them from our
+ * own origin. Canvases drawn from same-origin images stay exportable.
+ *
+ * Only hosts the profile providers serve avatars from are fetched, so the
+ * route can't be used to reach arbitrary (or internal) URLs. More hosts can
+ * be allowed with the comma-separated `AVATAR_HOSTS` environment variable.
+ */
+
+const DEFAULT_HOSTS = [
+  "github.com",
+  "avatars.githubusercontent.com",
+  "gitlab.com",
+  "secure.gravatar.com",
+  "www.gravatar.com",
+  "gravatar.com",
+  "codeberg.org",
+];
+
+const AVATAR_HOSTS = new Set([
+  ...DEFAULT_HOSTS,
+  ...(process.env.AVATAR_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
+]);
+
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+// For the whole fetch, redirects and body included, so a slow host can't
+// hold the request open
+const FETCH_TIMEOUT_MS = 5000;
+
+const parseAllowedUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "https:" || !AVATAR_HOSTS.has(url.hostname)) {
+    return null;
+  }
+  return url;
+};
+
+export const isAllowedAvatarUrl = (value) => Boolean(parseAllowedUrl(value));
+
+/**
+ * Fetch an avatar and resolve to `{ body, contentType }`. Redirects are
+ * followed by hand so every hop has to stay on an allowed host.
+ */
+export const fetchAvatar = async (value) => {
+  let url = parseAllowedUrl(value);
+  if (!url) {
+    throw new ProviderError("Avatar host is not allowed", 400);
+  }
+
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        redirect: "manual",
+        cache: "no-store",
+        signal,
+      });
+    } catch {
+      throw new ProviderError("Could not reach the avatar host", 502);
+    }
+
+    if (response.status >= 300 && response.status < 400) {
+      url = parseAllowedUrl(
+        new URL(response.headers.get("location") || "", url).href
+      );
+      if (!url) {
+        throw new ProviderError("Avatar redirected to a disallowed host", 502);
+      }
+      continue;
+    }
+
+    if (response.status === 404) {
+      throw new ProviderError("Avatar not found", 404);
+    }
+    if (!response.ok) {
+      throw new ProviderError("Failed to fetch avatar", 502);
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    // SVG can carry scripts, and would run them from our origin
+    if (!contentType.startsWith("image/") || contentType.includes("svg")) {
+      throw new ProviderError("Avatar is not a supported image", 502);
+    }
+    if (Number(response.headers.get("content-length")) > MAX_AVATAR_BYTES) {
+      throw new ProviderError("Avatar is too large", 502);
+    }
+
+    let body;
+    try {
+      body = await response.arrayBuffer();
+    } catch {
+      throw new ProviderError("Could not reach the avatar host", 502);
+    }
+    if (body.byteLength > MAX_AVATAR_BYTES) {
+      throw new ProviderError("Avatar is too large", 502);
+    }
+    return { body, contentType };
+  }
+
+  throw new ProviderError("Avatar redirected too many times", 502);
+};
@@ -0,0 +1,153 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import sharp from "sharp";
+import {
+  AVATAR_SIZES,
+  AVATAR_UPLOAD_TYPES,
+  MAX_AVATAR_UPLOAD_BYTES,
+  isUploadId,
+} from "./avatars";
+import { listProfiles, ProfileStoreError } from "./profileStore";
+
+/**
+ * Avatar uploads
+ *
+ * Pictures uploaded for manual profiles, for people without a forge
+ * account to pull an avatar from. Each upload is checked, cropped to a
+ * square around its most interesting part and stored once at the largest
+ * avatar size; the avatar route scales it down from there.
+ *
+ * Files live in `data/uploads` unless `AVATAR_UPLOAD_DIR` points
+ * elsewhere. A profile refers to its picture by the upload id. Uploads no
+ * profile refers to are swept away once they're an hour old, which leaves
+ * time to submit the profile they were made for.
+ */
+
+const UPLOAD_DIR =
+  process.env.AVATAR_UPLOAD_DIR || path.join(process.cwd(), "data", "uploads");
+
+const STORED_SIZE = AVATAR_SIZES[AVATAR_SIZES.length - 1];
+// Decoding is refused past this many pixels, whatever the file size
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+// What sharp reports for each accepted upload type
+const ACCEPTED_FORMATS = ["png", "jpeg", "webp", "gif"];
+
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+// Uploads trigger a sweep at most this often
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+let lastSweep = 0;
+
+const uploadPath = (id) => path.join(UPLOAD_DIR, `${id}.webp`);
+
+/**
+ * Check, crop and store an uploaded `File`. Resolves to the upload id.
+ */
+export const saveAvatarUpload = async (file) => {
+  if (!file || typeof file.arrayBuffer !== "function") {
+    throw new ProfileStoreError("Choose an image to upload");
+  }
+  if (!AVATAR_UPLOAD_TYPES.includes(file.type)) {
+    throw new ProfileStoreError(
+      "Avatar must be a PNG, JPEG, WebP or GIF image",
+      415
+    );
+  }
+  if (file.size > MAX_AVATAR_UPLOAD_BYTES) {
+    throw new ProfileStoreError(
+      `Avatar must be at most ${MAX_AVATAR_UPLOAD_BYTES / 1024 / 1024} MB`,
+      413
+    );
+  }
+
+  // Trust the decoder, not the declared type
+  const input = Buffer.from(await file.arrayBuffer());
+  let body;
+  try {
+    const image = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS });
+    const { format } = await image.metadata();
+    if (!ACCEPTED_FORMATS.includes(format)) {
+      throw new Error(`Unexpected format ${format}`);
+    }
+    body = await image
+      .rotate()
+      .resize(STORED_SIZE, STORED_SIZE, {
+        fit: "cover",
+        position: sharp.strategy.attention,
+      })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch {
+    throw new ProfileStoreError("That file isn't a readable image", 415);
+  }
+
+  const id = randomUUID();
+  await fs.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(uploadPath(id), body);
+
+  if (Date.now() - lastSweep > SWEEP_INTERVAL_MS) {
+    lastSweep = Date.now();
+    sweepAvatarUploads().catch((err) =>
+      console.error("Avatar upload sweep failed:", err)
+    );
+  }
+  return id;
+};
+
+/**
+ * Delete an upload, for when the profile using it is removed. Ids that
+ * aren't uploads, and uploads already gone, are ignored.
+ */
+export const deleteAvatarUpload = async (id) => {
+  if (!isUploadId(id)) return;
+  await fs.rm(uploadPath(id), { force: true });
+};
+
+/**
+ * Delete every upload past the grace period that no profile refers to.
+ */
+export const sweepAvatarUploads = async () => {
+  let files;
+  try {
+    files = await fs.readdir(UPLOAD_DIR);
+  } catch (err) {
+    if (err.code === "ENOENT") return;
+    throw err;
+  }
+
+  const inUse = new Set(
+    (await listProfiles({ status: "all" }))
+      .map((profile) => profile.avatarUpload)
+      .filter(Boolean)
+  );
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+
+  await Promise.all(
+    files.map(async (file) => {
+      const id = path.basename(file, ".webp");
+      if (!isUploadId(id) || inUse.has(id)) return;
+      const stats = await fs.stat(uploadPath(id)).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) await deleteAvatarUpload(id);
+    })
+  );
+};
+
+/**
+ * Read an upload back as WebP, `size` pixels square. Resolves to `null`
+ * when there's no such upload.
+ */
+export const readAvatarUpload = async (id, size) => {
+  if (!isUploadId(id)) return null;
+
+  let body;
+  try {
+    body = await fs.readFile(uploadPath(id));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return size >= STORED_SIZE
+    ? body
+    : sharp(body).resize(size, size).webp({ quality: 85 }).toBuffer();
+};
@@ -0,0 +1,42 @@
+/**
+ * Avatar URLs
+ *
+ * Client-safe helpers for the same-origin avatar route. Every avatar on
+ * the site is served by `/api/avatars/<profile id>`, resized to one of a
+ * few fixed sizes so the server-side cache stays small. Manual profiles
+ * can upload their own picture instead of linking one.
+ */
+
+export const AVATAR_SIZES = [64, 128, 256];
+export const DEFAULT_AVATAR_SIZE = 128;
+
+/**
+ * The smallest stored size that covers `pixels` (device pixels), or the
+ * largest one.
+ */
+export const avatarSize = (pixels) =>
+  AVATAR_SIZES.find((size) => size >= pixels) ||
+  AVATAR_SIZES[AVATAR_SIZES.length - 1];
+
+/**
+ * Avatar URL for `profile` shown `pixels` CSS pixels wide. The size is
+ * doubled so avatars stay sharp on high-density screens.
+ */
+export const avatarSrc = (profile, pixels = DEFAULT_AVATAR_SIZE / 2) =>
+  `/api/avatars/${encodeURIComponent(profile.id)}?size=${avatarSize(pixels * 2)}`;
+
+// Uploaded avatars, checked in the add form and again by the upload route
+export const AVATAR_UPLOAD_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/webp",
+  "image/gif",
+];
+export const MAX_AVATAR_UPLOAD_BYTES = 2 * 1024 * 1024;
+
+// Uploads are stored under a random UUID
+const UPLOAD_ID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+export const isUploadId = (value) =>
+  typeof value === "string" && UPLOAD_ID_PATTERN.test(value);
@@ -0,0 +1,74 @@
+import { ROLE_IDS, getRole } from "./roles";
+
+/**
+ * Contributor list queries
+ *
+ * Search, sort and pagination for the /contributors page, applied to the
+ * same profile list the physics wall shows. Parameters arrive untrusted
+ * from the URL and fall back to defaults when they don't make sense.
+ */
+
+export const CONTRIBUTORS_PAGE_SIZE = 20;
+
+export const CONTRIBUTOR_SORTS = ["name", "added", "role"];
+
+// Newest first reads more naturally for dates; names and roles go A to Z
+const DEFAULT_DIRECTIONS = { name: "asc", added: "desc", role: "asc" };
+
+const byName = (a, b) =>
+  a.name.localeCompare(b.name, undefined, { sensitivity: "base" });
+
+const COMPARATORS = {
+  name: byName,
+  added: (a, b) => a.createdAt.localeCompare(b.createdAt) || byName(a, b),
+  role: (a, b) =>
+    ROLE_IDS.indexOf(getRole(a.role).id) -
+      ROLE_IDS.indexOf(getRole(b.role).id) || byName(a, b),
+};
+
+const matches = (profile, term) =>
+  [profile.name, profile.username, getRole(profile.role).label].some(
+    (value) => value && value.toLowerCase().includes(term)
+  );
+
+/**
+ * Normalize raw search params into `{ q, sort, dir, page }`.
+ */
+export const parseContributorQuery = (params = {}) => {
+  const sort = CONTRIBUTOR_SORTS.includes(params.sort) ? params.sort : "name";
+  const dir =
+    params.dir === "asc" || params.dir === "desc"
+      ? params.dir
+      : DEFAULT_DIRECTIONS[sort];
+  const page = Math.max(Number.parseInt(params.page, 10) || 1, 1);
+  const q = typeof params.q === "string" ? params.q.trim() : "";
+  return { q, sort, dir, page };
+};
+
+/**
+ * Filter, sort and slice `profiles` for one page of results. The page is
+ * clamped to the last one that exists.
+ */
+export const queryContributors = (profiles, { q, sort, dir, page }) => {
+  const term = q.toLowerCase();
+  const filtered = term
+    ? profiles.filter((profile) => matches(profile, term))
+    : [...profiles];
+
+  const compare = COMPARATORS[sort];
+  filtered.sort((a, b) => (dir === "asc" ? compare(a, b) : compare(b, a)));
+
+  const pageCount = Math.max(
+    Math.ceil(filtered.length / CONTRIBUTORS_PAGE_SIZE),
+    1
+  );
+  const currentPage = Math.min(page, pageCount);
+  const start = (currentPage - 1) * CONTRIBUTORS_PAGE_SIZE;
+
+  return {
+    profiles: filtered.slice(start, start + CONTRIBUTORS_PAGE_SIZE),
+    total: filtered.length,
+    page: currentPage,
+    pageCount,
+  };
+};
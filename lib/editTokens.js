@@ -0,0 +1,59 @@
+/**
+ * Edit tokens
+ *
+ * Browser-side storage for the secret tokens that let contributors edit or
+ * remove their own profile, kept in `localStorage` and keyed by profile
+ * id. Edit links carry the token in the URL fragment, which browsers never
+ * send to the server.
+ */
+
+const STORAGE_KEY = "umakeit:edit-tokens";
+const LINK_PREFIX = "#edit=";
+
+// Storage can be unavailable (private modes, blocked cookies); tokens then
+// only live as long as the edit link
+const readTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeTokens = (tokens) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(tokens));
+  } catch {
+    // Nothing to do, see readTokens
+  }
+};
+
+export const getEditToken = (id) => readTokens()[id] || null;
+
+export const saveEditToken = (id, token) =>
+  writeTokens({ ...readTokens(), [id]: token });
+
+export const forgetEditToken = (id) => {
+  const tokens = readTokens();
+  delete tokens[id];
+  writeTokens(tokens);
+};
+
+export const editLink = (id, token) =>
+  `${window.location.origin}/${LINK_PREFIX}${encodeURIComponent(id)}.${token}`;
+
+/**
+ * Read `{ id, token }` from an edit link's fragment, or null when `hash`
+ * isn't one.
+ */
+export const parseEditLink = (hash) => {
+  if (!hash.startsWith(LINK_PREFIX)) return null;
+  let link;
+  try {
+    link = decodeURIComponent(hash.slice(LINK_PREFIX.length));
+  } catch {
+    return null; // Mangled in transit
+  }
+  const [id, token] = link.split(".");
+  return id && token ? { id, token } : null;
+};
@@ -0,0 +1,270 @@
+/**
+ * GitHub API client
+ *
+ * Server-side wrapper around the GitHub REST API used by the `/api/github`
+ * routes. Responses are cached in memory and revalidated with ETags, which
+ * GitHub does not count against the rate limit when they come back as 304.
+ *
+ * Environment:
+ * - `GITHUB_API_URL` overrides the upstream base URL (e.g. a local mock server)
+ * - `GITHUB_TOKEN` authenticates requests for the higher rate limit
+ */
+import { ProviderError } from "./providers/ProviderError";
+import { getProvider } from "./providers/meta";
+
+const API_URL = (process.env.GITHUB_API_URL || "https://api.github.com").replace(
+  /\/+$/,
+  ""
+);
+const API_TOKEN = process.env.GITHUB_TOKEN;
+
+// Serve cached entries without revalidating for this long
+const FRESH_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+const USERNAME_PATTERN = getProvider("github").handlePattern;
+
+const cache = new Map();
+const rateLimit = { remaining: null, resetAt: 0 };
+
+/**
+ * Error thrown for failed GitHub lookups.
+ * `status` is the HTTP status the route handler should respond with and
+ * `retryAfter` (seconds) is set when the rate limit is exhausted.
+ */
+export class GitHubError extends ProviderError {
+  constructor(message, status, retryAfter) {
+    super(message, status, retryAfter);
+    this.name = "GitHubError";
+  }
+}
+
+export const isValidUsername = (username) =>
+  typeof username === "string" && USERNAME_PATTERN.test(username);
+
+const secondsUntilReset = () =>
+  Math.max(0, Math.ceil((rateLimit.resetAt - Date.now()) / 1000));
+
+const rememberRateLimit = (headers) => {
+  const remaining = headers.get("x-ratelimit-remaining");
+  const reset = headers.get("x-ratelimit-reset");
+  if (remaining !== null) rateLimit.remaining = Number(remaining);
+  if (reset !== null) rateLimit.resetAt = Number(reset) * 1000;
+};
+
+const isRateLimited = () =>
+  rateLimit.remaining === 0 && rateLimit.resetAt > Date.now();
+
+const storeInCache = (key, entry) => {
+  // Map keeps insertion order, so re-inserting moves the key to the end
+  cache.delete(key);
+  cache.set(key, entry);
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+/**
+ * Fetch a GitHub API path as JSON through the ETag cache.
+ * Stale cache entries are served while the rate limit is exhausted.
+ */
+export const fetchGitHub = async (
+  apiPath,
+  { notFoundMessage = "Not found on GitHub" } = {}
+) => {
+  const key = apiPath.toLowerCase();
+  const cached = cache.get(key);
+
+  if (cached && Date.now() - cached.fetchedAt < FRESH_MS) {
+    return cached.data;
+  }
+
+  if (isRateLimited()) {
+    if (cached) return cached.data;
+    throw new GitHubError(
+      "GitHub rate limit exceeded, please try again later",
+      429,
+      secondsUntilReset()
+    );
+  }
+
+  const headers = {
+    Accept: "application/vnd.github+json",
+    "User-Agent": "umakeit",
+  };
+  if (API_TOKEN) headers.Authorization = `Bearer ${API_TOKEN}`;
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+
+  let response;
+  try {
+    response = await fetch(`${API_URL}${apiPath}`, {
+      headers,
+      cache: "no-store",
+    });
+  } catch {
+    if (cached) return cached.data;
+    throw new GitHubError("Could not reach GitHub", 502);
+  }
+
+  rememberRateLimit(response.headers);
+
+  if (response.status === 304 && cached) {
+    storeInCache(key, { ...cached, fetchedAt: Date.now() });
+    return cached.data;
+  }
+
+  if (response.status === 404) {
+    throw new GitHubError(notFoundMessage, 404);
+  }
+
+  if (
+    (response.status === 403 || response.status === 429) &&
+    (rateLimit.remaining === 0 || response.headers.has("retry-after"))
+  ) {
+    if (cached) return cached.data;
+    const retryAfter = Number(response.headers.get("retry-after"));
+    throw new GitHubError(
+      "GitHub rate limit exceeded, please try again later",
+      429,
+      retryAfter || secondsUntilReset()
+    );
+  }
+
+  if (!response.ok) {
+    throw new GitHubError("Failed to fetch profile data", 502);
+  }
+
+  const data = await response.json();
+  storeInCache(key, {
+    data,
+    etag: response.headers.get("etag"),
+    fetchedAt: Date.now(),
+  });
+  return data;
+};
+
+/**
+ * Look up a GitHub user and return the fields the wall needs.
+ */
+export const getGitHubUser = async (username) => {
+  if (!isValidUsername(username)) {
+    throw new GitHubError("Invalid GitHub username", 400);
+  }
+
+  const user = await fetchGitHub(`/users/${encodeURIComponent(username)}`, {
+    notFoundMessage: "GitHub user not found",
+  });
+
+  return {
+    name: user.name || user.login, // Use display name or fallback to username
+    login: user.login,
+    avatarUrl: user.avatar_url,
+    profileUrl: user.html_url,
+  };
+};
+
+const TOP_LANGUAGE_COUNT = 3;
+
+/**
+ * Look up the extended profile shown in the contributor detail popover.
+ * Top languages are counted across the user's most recently pushed repos.
+ */
+export const getGitHubUserDetails = async (username) => {
+  if (!isValidUsername(username)) {
+    throw new GitHubError("Invalid GitHub username", 400);
+  }
+
+  const encoded = encodeURIComponent(username);
+  const [user, repos] = await Promise.all([
+    fetchGitHub(`/users/${encoded}`, {
+      notFoundMessage: "GitHub user not found",
+    }),
+    fetchGitHub(`/users/${encoded}/repos?per_page=100&sort=pushed`, {
+      notFoundMessage: "GitHub user not found",
+    }),
+  ]);
+
+  const languageCounts = {};
+  repos.forEach((repo) => {
+    if (repo.fork || !repo.language) return;
+    languageCounts[repo.language] = (languageCounts[repo.language] || 0) + 1;
+  });
+  const topLanguages = Object.entries(languageCounts)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, TOP_LANGUAGE_COUNT)
+    .map(([language]) => language);
+
+  return {
+    name: user.name || user.login,
+    login: user.login,
+    avatarUrl: user.avatar_url,
+    profileUrl: user.html_url,
+    bio: user.bio,
+    publicRepos: user.public_repos,
+    followers: user.followers,
+    topLanguages,
+  };
+};
+
+const REPO_NAME_PATTERN = /^[\w.-]{1,100}$/;
+const PAGE_SIZE = 100;
+
+// Walk a paginated list endpoint until it runs dry or `limit` is reached
+const fetchAllPages = async (apiPath, limit, notFoundMessage) => {
+  const items = [];
+  for (let page = 1; items.length < limit; page++) {
+    const separator = apiPath.includes("?") ? "&" : "?";
+    const batch = await fetchGitHub(
+      `${apiPath}${separator}per_page=${PAGE_SIZE}&page=${page}`,
+      { notFoundMessage }
+    );
+    items.push(...batch);
+    if (batch.length < PAGE_SIZE) break;
+  }
+  return items.slice(0, limit);
+};
+
+// List endpoints only carry the login, so it doubles as the display name
+const toProfile = (user) => ({
+  name: user.login,
+  login: user.login,
+  avatarUrl: user.avatar_url,
+  profileUrl: user.html_url,
+});
+
+/**
+ * List the human contributors of `owner/repo`, most active first.
+ */
+export const listRepoContributors = async (owner, repo, limit) => {
+  if (!isValidUsername(owner) || !REPO_NAME_PATTERN.test(repo)) {
+    throw new GitHubError("Invalid repository name", 400);
+  }
+
+  const contributors = await fetchAllPages(
+    `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/contributors`,
+    limit,
+    "GitHub repository not found"
+  );
+  return contributors
+    .filter((user) => user.type !== "Bot")
+    .map((user) => ({
+      ...toProfile(user),
+      contributions: user.contributions,
+    }));
+};
+
+/**
+ * List the public members of a GitHub organization.
+ */
+export const listOrgMembers = async (org, limit) => {
+  if (!isValidUsername(org)) {
+    throw new GitHubError("Invalid organization name", 400);
+  }
+
+  const members = await fetchAllPages(
+    `/orgs/${encodeURIComponent(org)}/members`,
+    limit,
+    "GitHub organization not found"
+  );
+  return members.map(toProfile);
+};
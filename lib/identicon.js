@@ -0,0 +1,69 @@
+import { createHash } from "crypto";
+
+/**
+ * Identicons
+ *
+ * Generated stand-in avatars for profiles without a usable image. The
+ * pattern is a mirrored 5x5 grid whose cells and color come from a hash
+ * of the login, so the same login always gets the same picture.
+ */
+
+const GRID = 5;
+const BACKGROUND = [31, 41, 55]; // matches the wall's placeholder gray
+
+// hsl() with s and l in 0..1, to 0..255 RGB
+const hslToRgb = (hue, saturation, lightness) => {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = lightness - chroma / 2;
+  const [r, g, b] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x],
+  ][Math.floor(hue / 60)];
+  return [r, g, b].map((channel) => Math.round((channel + m) * 255));
+};
+
+/**
+ * Draw the identicon for `seed` as raw RGB pixels, `size` pixels square.
+ * Returns `{ data, width, height, channels }`, ready for `sharp`'s
+ * raw input.
+ */
+export const identicon = (seed, size) => {
+  const hash = createHash("sha256")
+    .update(String(seed).trim().toLowerCase())
+    .digest();
+  const color = hslToRgb(((hash[0] << 8) | hash[1]) % 360, 0.6, 0.55);
+
+  // The left three columns come from the hash, the right two mirror them
+  const cells = Array.from({ length: GRID }, (_, row) =>
+    Array.from({ length: GRID }, (_, column) => {
+      const source = Math.min(column, GRID - 1 - column);
+      return (hash[2 + row * 3 + source] & 1) === 1;
+    })
+  );
+
+  // Half a cell of padding on every side
+  const cellSize = size / (GRID + 1);
+  const padding = cellSize / 2;
+  const data = Buffer.alloc(size * size * 3);
+
+  for (let y = 0; y < size; y++) {
+    const row = Math.floor((y - padding) / cellSize);
+    for (let x = 0; x < size; x++) {
+      const column = Math.floor((x - padding) / cellSize);
+      const filled =
+        row >= 0 &&
+        row < GRID &&
+        column >= 0 &&
+        column < GRID &&
+        cells[row][column];
+      data.set(filled ? color : BACKGROUND, (y * size + x) * 3);
+    }
+  }
+
+  return { data, width: size, height: size, channels: 3 };
+};
@@ -0,0 +1,222 @@
+import { listOrgMembers, listRepoContributors } from "./github";
+import { addProfiles, listProfiles, profileKey } from "./profileStore";
+import { ProviderError, resolveProfile } from "./providers";
+import { DEFAULT_PROVIDER } from "./providers/meta";
+
+/**
+ * Bulk contributor import
+ *
+ * Turns a list of handles, a CSV document, a GitHub repository or a GitHub
+ * organization into profiles and adds them to the store in one batch.
+ * Entries already on the wall are skipped before any lookup happens, and
+ * every entry that can't be added is reported back individually.
+ */
+
+export const MAX_IMPORT_ENTRIES = 500;
+
+// Parallel lookups per batch, kept low to stay friendly with rate limits
+const LOOKUP_CONCURRENCY = 5;
+
+const HEADER_NAMES = ["username", "login", "handle"];
+
+const DUPLICATE = "Already on the wall";
+
+// Split CSV text into rows of trimmed cells. Quoted cells may hold commas,
+// line breaks and doubled quotes ("").
+const splitCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell.trim());
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = "";
+      if (char === "\r" && text[i + 1] === "\n") i++;
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows;
+};
+
+/**
+ * Parse CSV text into `{ handle, provider }` rows. The first column is the
+ * handle and an optional second column names the provider; any further
+ * columns are ignored. A header row is detected and skipped.
+ */
+export const parseCsv = (text, defaultProvider = DEFAULT_PROVIDER) => {
+  const rows = splitCsv(text).filter(([handle]) => handle);
+
+  if (rows.length > 0 && HEADER_NAMES.includes(rows[0][0].toLowerCase())) {
+    rows.shift();
+  }
+
+  return rows.map(([handle, provider]) => ({
+    handle,
+    provider: provider ? provider.toLowerCase() : defaultProvider,
+  }));
+};
+
+// Run `task` over `items` with at most `limit` in flight at once
+const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+};
+
+const toStoredProfile = (profile, provider) => ({
+  provider,
+  name: profile.name,
+  profileUrl: profile.profileUrl,
+  avatarUrl: profile.avatarUrl,
+  username: profile.login,
+  contributions: profile.contributions,
+});
+
+// Collect the raw entries to import from whichever sources were given
+const collectEntries = async ({ provider, usernames, csv, repo, org }) => {
+  const defaultProvider = provider || DEFAULT_PROVIDER;
+  const entries = [];
+  const resolved = [];
+
+  if (Array.isArray(usernames)) {
+    usernames
+      .filter((handle) => typeof handle === "string" && handle.trim())
+      .forEach((handle) =>
+        entries.push({ handle: handle.trim(), provider: defaultProvider })
+      );
+  }
+
+  if (typeof csv === "string") {
+    entries.push(...parseCsv(csv, defaultProvider));
+  }
+
+  // Repository and organization listings already carry everything a
+  // profile needs, so they skip the per-user lookup
+  if (typeof repo === "string" && repo.trim()) {
+    const [owner, name] = repo.trim().split("/");
+    if (!owner || !name) {
+      throw new ProviderError("Repository must look like owner/repo", 400);
+    }
+    const contributors = await listRepoContributors(
+      owner,
+      name,
+      MAX_IMPORT_ENTRIES
+    );
+    resolved.push(
+      ...contributors.map((profile) => toStoredProfile(profile, "github"))
+    );
+  }
+
+  if (typeof org === "string" && org.trim()) {
+    const members = await listOrgMembers(org.trim(), MAX_IMPORT_ENTRIES);
+    resolved.push(
+      ...members.map((profile) => toStoredProfile(profile, "github"))
+    );
+  }
+
+  return { entries, resolved };
+};
+
+/**
+ * Import contributors in one batch.
+ * Resolves to `{ added, skipped, failed }` where `skipped` lists duplicates
+ * and `failed` lists entries whose lookup or validation went wrong, both
+ * as `{ entry, reason }`.
+ */
+export const importProfiles = async (source) => {
+  const { entries, resolved } = await collectEntries(source);
+
+  if (entries.length + resolved.length === 0) {
+    throw new ProviderError("Nothing to import", 400);
+  }
+  if (entries.length + resolved.length > MAX_IMPORT_ENTRIES) {
+    throw new ProviderError(
+      `Imports are limited to ${MAX_IMPORT_ENTRIES} entries at a time`,
+      400
+    );
+  }
+
+  const existing = new Set(
+    (await listProfiles({ status: "all" })).map(profileKey).filter(Boolean)
+  );
+  const skipped = [];
+  const failed = [];
+
+  // Drop handles already on the wall (or repeated in this batch) up front
+  // so they don't cost a lookup
+  const pending = entries.filter((entry) => {
+    const key = profileKey({
+      provider: entry.provider,
+      username: entry.handle,
+    });
+    if (existing.has(key)) {
+      skipped.push({ entry: entry.handle, reason: DUPLICATE });
+      return false;
+    }
+    existing.add(key);
+    return true;
+  });
+
+  const lookups = await mapWithConcurrency(
+    pending,
+    LOOKUP_CONCURRENCY,
+    async (entry) => {
+      try {
+        const profile = await resolveProfile(entry.provider, entry.handle);
+        return toStoredProfile(profile, entry.provider);
+      } catch (err) {
+        failed.push({
+          entry: entry.handle,
+          reason: err instanceof ProviderError ? err.message : "Lookup failed",
+        });
+        return null;
+      }
+    }
+  );
+
+  const result = await addProfiles([...lookups.filter(Boolean), ...resolved], {
+    acceptContributions: true,
+  });
+
+  result.duplicates.forEach((entry) => {
+    skipped.push({ entry: entry.username || entry.name, reason: DUPLICATE });
+  });
+  result.invalid.forEach(({ entry, reason }) => {
+    failed.push({ entry: entry.username || entry.name, reason });
+  });
+
+  return { added: result.added, skipped, failed };
+};
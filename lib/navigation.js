@@ -0,0 +1,12 @@
+/**
+ * Site navigation shared by every page that shows GooeyNav.
+ */
+export const NAV_ITEMS = [
+  { label: "Home", href: "/" },
+  { label: "Contributors", href: "/contributors" },
+  { label: "About", href: "#" },
+  { label: "Contact", href: "#" },
+];
+
+export const navIndex = (href) =>
+  NAV_ITEMS.findIndex((item) => item.href === href);
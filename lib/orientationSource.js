@@ -0,0 +1,57 @@
+/**
+ * Device orientation sources
+ *
+ * ProfileContainer reads device tilt through a source instead of listening
+ * to `window` itself, so the input can be swapped out (e.g. for synthetic
+ * readings in tests). A source is a function `(listener) => unsubscribe`
+ * that calls `listener({ beta, gamma })` with angles in degrees.
+ */
+
+/**
+ * Reads the browser's `deviceorientation` events. iOS only delivers them
+ * after permission is granted from a user gesture, so the request is made
+ * on the first pointer press.
+ */
+export const windowOrientationSource = (listener) => {
+  if (typeof window === "undefined" || !("DeviceOrientationEvent" in window)) {
+    return () => {};
+  }
+
+  const handleOrientation = (event) => {
+    if (event.beta === null || event.gamma === null) return;
+    listener({ beta: event.beta, gamma: event.gamma });
+  };
+
+  const requestPermission = () => {
+    window.DeviceOrientationEvent.requestPermission().catch(() => {});
+  };
+  const needsPermission =
+    typeof window.DeviceOrientationEvent.requestPermission === "function";
+
+  window.addEventListener("deviceorientation", handleOrientation);
+  if (needsPermission) {
+    window.addEventListener("pointerdown", requestPermission, { once: true });
+  }
+
+  return () => {
+    window.removeEventListener("deviceorientation", handleOrientation);
+    if (needsPermission) {
+      window.removeEventListener("pointerdown", requestPermission);
+    }
+  };
+};
+
+/**
+ * A source driven by hand: pass `source` to ProfileContainer and call
+ * `emit({ beta, gamma })` to feed it readings.
+ */
+export const createOrientationEmitter = () => {
+  const listeners = new Set();
+  return {
+    source: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    emit: (reading) => listeners.forEach((listener) => listener(reading)),
+  };
+};
@@ -0,0 +1,61 @@
+import { randomUUID } from "crypto";
+
+/**
+ * Profile events
+ *
+ * In-process pub/sub for changes to the public wall, feeding the
+ * `/api/profiles/stream` Server-Sent Events endpoint. Events are
+ * `{ id, type, profile }` where `type` is `"added"`, `"updated"` or
+ * `"removed"`.
+ *
+ * Recent events are kept so a reconnecting client can catch up from its
+ * `Last-Event-ID`. Ids carry a per-process prefix, so ids from before a
+ * restart are recognised as stale instead of being replayed wrongly.
+ *
+ * State lives on `globalThis` so every route handler in the process (and
+ * dev-mode reloads) shares one channel.
+ */
+
+const MAX_RECENT_EVENTS = 200;
+
+const channel =
+  globalThis.__profileEvents ||
+  (globalThis.__profileEvents = {
+    bootId: randomUUID().slice(0, 8),
+    sequence: 0,
+    recent: [],
+    listeners: new Set(),
+  });
+
+const eventId = (sequence) => `${channel.bootId}-${sequence}`;
+
+export const publishProfileEvent = (type, profile) => {
+  const sequence = ++channel.sequence;
+  const event = { id: eventId(sequence), sequence, type, profile };
+  channel.recent.push(event);
+  if (channel.recent.length > MAX_RECENT_EVENTS) channel.recent.shift();
+  channel.listeners.forEach((listener) => listener(event));
+};
+
+export const subscribeProfileEvents = (listener) => {
+  channel.listeners.add(listener);
+  return () => channel.listeners.delete(listener);
+};
+
+// Id of the newest event, for a full snapshot to be stamped with
+export const latestEventId = () => eventId(channel.sequence);
+
+/**
+ * Events published after `lastEventId`, or `null` when that id can't be
+ * caught up from (another process, or too old) and the client needs the
+ * full list instead.
+ */
+export const eventsSince = (lastEventId) => {
+  const [bootId, sequence] = String(lastEventId || "").split("-");
+  const after = Number(sequence);
+  if (bootId !== channel.bootId || !Number.isInteger(after)) return null;
+
+  const oldest = channel.recent[0]?.sequence ?? channel.sequence + 1;
+  if (after < oldest - 1) return null;
+  return channel.recent.filter((event) => event.sequence > after);
+};
@@ -0,0 +1,609 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { DEFAULT_PROVIDER, PROVIDER_IDS } from "./providers/meta";
+import { ROLE_IDS } from "./roles";
+import { isUploadId } from "./avatars";
+import { publishProfileEvent } from "./profileEvents";
+
+/**
+ * Profile Store
+ *
+ * A small JSON-file backed store for the contributor wall. Every read and
+ * write goes through a single promise queue so concurrent requests can't
+ * interleave a read-modify-write and lose entries.
+ *
+ * Public submissions start out `pending` and only `approved` profiles are
+ * shown on the wall. The store also keeps the list of blocked accounts.
+ * Every change to what the wall shows is published as a profile event.
+ *
+ * Each public submission gets a secret edit token that lets the
+ * contributor change or remove their own entry later. Only its hash is
+ * stored, and profiles never leave the store with it.
+ *
+ * The file location defaults to `data/profiles.json` and can be moved with
+ * the `PROFILES_STORE_PATH` environment variable.
+ */
+
+const STORE_PATH =
+  process.env.PROFILES_STORE_PATH ||
+  path.join(process.cwd(), "data", "profiles.json");
+
+const SEED_PROFILES = [
+  {
+    id: "1",
+    name: "Linus Torvalds",
+    username: "torvalds",
+    provider: "github",
+    profileUrl: "https://github.com/torvalds",
+    avatarUrl: "https://github.com/torvalds.png",
+  },
+  {
+    id: "2",
+    name: "Dan Abramov",
+    username: "gaearon",
+    provider: "github",
+    profileUrl: "https://github.com/gaearon",
+    avatarUrl: "https://github.com/gaearon.png",
+  },
+  {
+    id: "3",
+    name: "Evan You",
+    username: "yyx990803",
+    provider: "github",
+    profileUrl: "https://github.com/yyx990803",
+    avatarUrl: "https://github.com/yyx990803.png",
+  },
+];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_TAGLINE_LENGTH = 160;
+const MAX_WEIGHT = 1000000;
+
+let queue = Promise.resolve();
+
+// Serialize store access so writes never race each other
+const withLock = (task) => {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+};
+
+export const PROFILE_STATUSES = ["pending", "approved", "rejected"];
+
+const seedStore = () => ({
+  profiles: SEED_PROFILES.map((profile) => ({
+    ...profile,
+    status: "approved",
+    pinned: false,
+    createdAt: new Date(0).toISOString(),
+  })),
+  blocked: [],
+});
+
+const readStore = async () => {
+  let parsed;
+  try {
+    parsed = JSON.parse(await fs.readFile(STORE_PATH, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return seedStore();
+    throw err;
+  }
+
+  // Early stores were a bare array of profiles
+  const profiles = Array.isArray(parsed) ? parsed : parsed.profiles || [];
+  const blocked = Array.isArray(parsed) ? [] : parsed.blocked || [];
+
+  return {
+    // Entries written before providers and moderation existed all came
+    // from GitHub and were already live on the wall
+    profiles: profiles.map((profile) => ({
+      ...profile,
+      provider: profile.provider || DEFAULT_PROVIDER,
+      status: profile.status || "approved",
+      pinned: Boolean(profile.pinned),
+    })),
+    blocked,
+  };
+};
+
+const writeStore = async (store) => {
+  await fs.mkdir(path.dirname(STORE_PATH), { recursive: true });
+  // Write to a temp file first so a crash never leaves half a JSON document
+  const tempPath = `${STORE_PATH}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(store, null, 2));
+  await fs.rename(tempPath, STORE_PATH);
+};
+
+// Pinned profiles first, then the admin's manual order, then oldest first
+const compareProfiles = (a, b) =>
+  Number(b.pinned) - Number(a.pinned) ||
+  (a.order ?? Infinity) - (b.order ?? Infinity) ||
+  a.createdAt.localeCompare(b.createdAt);
+
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+
+// The copy of a profile handed out of the store
+const toPublic = ({ editTokenHash, ...profile }) => profile;
+
+// Announce a change in what the public wall shows
+const publishVisibility = (before, after) => {
+  const wasVisible = before?.status === "approved";
+  const isVisible = after?.status === "approved";
+  if (isVisible) {
+    publishProfileEvent(wasVisible ? "updated" : "added", toPublic(after));
+  } else if (wasVisible) {
+    publishProfileEvent("removed", toPublic(before));
+  }
+};
+
+const isWeight = (value) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= 0 &&
+  value <= MAX_WEIGHT;
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Error thrown when a submitted profile is rejected by the store.
+ * `status` is the HTTP status the route handler should respond with.
+ */
+export class ProfileStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ProfileStoreError";
+    this.status = status;
+  }
+}
+
+const sanitizeName = (value) => {
+  const name = typeof value === "string" ? value.trim() : "";
+  if (!name) {
+    throw new ProfileStoreError("Profile name is required");
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    throw new ProfileStoreError(
+      `Profile name must be at most ${MAX_NAME_LENGTH} characters`
+    );
+  }
+  return name;
+};
+
+// A short line about the contributor; blank means none
+const sanitizeTagline = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "string") {
+    throw new ProfileStoreError("Tagline must be text");
+  }
+  const tagline = value.trim();
+  if (tagline.length > MAX_TAGLINE_LENGTH) {
+    throw new ProfileStoreError(
+      `Tagline must be at most ${MAX_TAGLINE_LENGTH} characters`
+    );
+  }
+  return tagline || undefined;
+};
+
+/**
+ * Validate and normalize an incoming profile payload.
+ * Unknown fields are dropped so clients can't write arbitrary data.
+ * `contributions` is only kept with `acceptContributions`, for counts that
+ * came from a repository import rather than from the submitter.
+ */
+export const sanitizeProfile = (
+  input,
+  { acceptContributions = false } = {}
+) => {
+  if (!input || typeof input !== "object") {
+    throw new ProfileStoreError("Profile payload must be an object");
+  }
+
+  const name = sanitizeName(input.name);
+
+  const provider = input.provider || DEFAULT_PROVIDER;
+  if (!PROVIDER_IDS.includes(provider)) {
+    throw new ProfileStoreError("Unknown profile provider");
+  }
+
+  // Manual entries may have neither a profile page nor an avatar
+  if (input.profileUrl && !isHttpUrl(input.profileUrl)) {
+    throw new ProfileStoreError("Profile URL must be an http(s) URL");
+  }
+  if (input.avatarUrl && !isHttpUrl(input.avatarUrl)) {
+    throw new ProfileStoreError("Avatar URL must be an http(s) URL");
+  }
+  if (provider !== "manual" && !input.profileUrl) {
+    throw new ProfileStoreError("Profile URL is required");
+  }
+  if (input.avatarUpload !== undefined && !isUploadId(input.avatarUpload)) {
+    throw new ProfileStoreError("Unknown avatar upload");
+  }
+
+  if (input.role !== undefined && !ROLE_IDS.includes(input.role)) {
+    throw new ProfileStoreError("Unknown contributor role");
+  }
+
+  const tagline = sanitizeTagline(input.tagline);
+
+  // Commit counts come from repository imports and size wall bubbles
+  const contributions = acceptContributions ? input.contributions : undefined;
+  if (contributions !== undefined && !isWeight(contributions)) {
+    throw new ProfileStoreError("Contributions must be a non-negative number");
+  }
+
+  const username =
+    typeof input.username === "string" ? input.username.trim() : "";
+
+  return {
+    name,
+    username: username || undefined,
+    provider,
+    profileUrl: input.profileUrl || undefined,
+    avatarUrl: input.avatarUrl || undefined,
+    avatarUpload: input.avatarUpload,
+    role: input.role,
+    tagline,
+    contributions,
+  };
+};
+
+/**
+ * Identity used to spot the same person being added twice. Usernames are
+ * compared case-insensitively. Profiles without a username (manual entries)
+ * have no key.
+ */
+export const profileKey = (profile) =>
+  profile.username
+    ? `${profile.provider || DEFAULT_PROVIDER}:${profile.username.toLowerCase()}`
+    : null;
+
+const blockedError = () =>
+  new ProfileStoreError("This account can't be added to the wall", 403);
+
+// Manual entries have no username, so the same name (ignoring case) counts
+// as the same person
+const isSameProfile = (a, b) => {
+  const key = profileKey(a);
+  if (key) return key === profileKey(b);
+  return (
+    b.provider === "manual" &&
+    !b.username &&
+    a.name.toLowerCase() === b.name.toLowerCase()
+  );
+};
+
+const DUPLICATE_MESSAGES = {
+  pending: "has already been submitted and is waiting for approval",
+  approved: "is already on the wall",
+  rejected: "has already been submitted and was not approved",
+};
+
+const duplicateError = (existing) =>
+  new ProfileStoreError(
+    `${existing.name} ${DUPLICATE_MESSAGES[existing.status]}`,
+    409
+  );
+
+/**
+ * List profiles in wall order. Only approved profiles are returned unless
+ * `status` asks for another state, or `"all"`.
+ */
+export const listProfiles = ({ status = "approved" } = {}) =>
+  withLock(async () => {
+    const { profiles } = await readStore();
+    return profiles
+      .filter((profile) => status === "all" || profile.status === status)
+      .sort(compareProfiles)
+      .map(toPublic);
+  });
+
+/**
+ * Look up one profile by id, whatever its status. Resolves to `null` when
+ * there's no such profile.
+ */
+export const getProfile = (id) =>
+  withLock(async () => {
+    const { profiles } = await readStore();
+    const profile = profiles.find((entry) => entry.id === id);
+    return profile ? toPublic(profile) : null;
+  });
+
+/**
+ * Add a single profile. Public submissions land in the moderation queue;
+ * pass `status: "approved"` to publish straight away. A profile matching
+ * one already in the store, in any status, is rejected.
+ * Resolves to `{ profile, editToken }`; the token is never shown again.
+ */
+export const addProfile = (input, { status = "pending" } = {}) =>
+  withLock(async () => {
+    const profile = sanitizeProfile(input);
+    const store = await readStore();
+
+    const key = profileKey(profile);
+    if (key && store.blocked.includes(key)) {
+      throw blockedError();
+    }
+    const existing = store.profiles.find((entry) =>
+      isSameProfile(profile, entry)
+    );
+    if (existing) {
+      throw duplicateError(existing);
+    }
+
+    const editToken = randomBytes(32).toString("base64url");
+    const newProfile = {
+      id: randomUUID(),
+      ...profile,
+      status,
+      pinned: false,
+      createdAt: new Date().toISOString(),
+      editTokenHash: hashToken(editToken),
+    };
+
+    store.profiles.push(newProfile);
+    await writeStore(store);
+    publishVisibility(null, newProfile);
+    return { profile: toPublic(newProfile), editToken };
+  });
+
+/**
+ * Add many profiles in a single write. Entries that duplicate an existing
+ * (or earlier) entry land in `duplicates`, entries that fail validation or
+ * are blocked in `invalid`, and neither stops the rest of the batch.
+ * Pass `acceptContributions` to keep imported commit counts.
+ */
+export const addProfiles = (
+  inputs,
+  { status = "approved", acceptContributions = false } = {}
+) =>
+  withLock(async () => {
+    const store = await readStore();
+    const seen = new Set(store.profiles.map(profileKey).filter(Boolean));
+    const added = [];
+    const duplicates = [];
+    const invalid = [];
+
+    inputs.forEach((input) => {
+      let profile;
+      try {
+        profile = sanitizeProfile(input, { acceptContributions });
+      } catch (err) {
+        invalid.push({ entry: input, reason: err.message });
+        return;
+      }
+
+      const key = profileKey(profile);
+      if (key && store.blocked.includes(key)) {
+        invalid.push({ entry: input, reason: blockedError().message });
+        return;
+      }
+      if (key && seen.has(key)) {
+        duplicates.push(input);
+        return;
+      }
+      if (key) seen.add(key);
+
+      added.push({
+        id: randomUUID(),
+        ...profile,
+        status,
+        pinned: false,
+        createdAt: new Date().toISOString(),
+      });
+    });
+
+    if (added.length > 0) {
+      store.profiles.push(...added);
+      await writeStore(store);
+      added.forEach((profile) => publishVisibility(null, profile));
+    }
+    return { added, duplicates, invalid };
+  });
+
+/**
+ * Apply moderation changes (`status`, `pinned`, `role`, `weight`) to a
+ * profile.
+ * A `weight` of `null` clears the manual weight.
+ */
+export const updateProfile = (id, changes) =>
+  withLock(async () => {
+    const store = await readStore();
+    const profile = store.profiles.find((entry) => entry.id === id);
+    if (!profile) {
+      throw new ProfileStoreError("Profile not found", 404);
+    }
+    const before = { ...profile };
+
+    if (changes.status !== undefined) {
+      if (!PROFILE_STATUSES.includes(changes.status)) {
+        throw new ProfileStoreError("Unknown profile status");
+      }
+      profile.status = changes.status;
+    }
+    if (changes.pinned !== undefined) {
+      profile.pinned = Boolean(changes.pinned);
+    }
+    if (changes.role !== undefined) {
+      if (!ROLE_IDS.includes(changes.role)) {
+        throw new ProfileStoreError("Unknown contributor role");
+      }
+      profile.role = changes.role;
+    }
+    if (changes.weight === null) {
+      delete profile.weight;
+    } else if (changes.weight !== undefined) {
+      if (!isWeight(changes.weight)) {
+        throw new ProfileStoreError(
+          `Weight must be a number between 0 and ${MAX_WEIGHT}`
+        );
+      }
+      profile.weight = changes.weight;
+    }
+
+    await writeStore(store);
+    publishVisibility(before, profile);
+    return toPublic(profile);
+  });
+
+/**
+ * Persist the wall order. `ids` lists profiles front to back; profiles not
+ * in the list keep falling back to their submission date.
+ */
+export const reorderProfiles = (ids) =>
+  withLock(async () => {
+    if (!Array.isArray(ids)) {
+      throw new ProfileStoreError("Order must be a list of profile ids");
+    }
+
+    const store = await readStore();
+    const positions = new Map(ids.map((id, index) => [id, index]));
+    store.profiles.forEach((profile) => {
+      if (positions.has(profile.id)) {
+        profile.order = positions.get(profile.id);
+      } else {
+        delete profile.order;
+      }
+    });
+
+    await writeStore(store);
+    return store.profiles.sort(compareProfiles).map(toPublic);
+  });
+
+export const removeProfile = (id) =>
+  withLock(async () => {
+    const store = await readStore();
+    const index = store.profiles.findIndex((profile) => profile.id === id);
+    if (index === -1) {
+      throw new ProfileStoreError("Profile not found", 404);
+    }
+
+    const [removed] = store.profiles.splice(index, 1);
+    await writeStore(store);
+    publishVisibility(removed, null);
+    return toPublic(removed);
+  });
+
+// The profile `token` was issued for. Missing profiles and wrong tokens
+// get the same answer so ids can't be probed.
+const findOwnProfile = (store, id, token) => {
+  const profile = store.profiles.find((entry) => entry.id === id);
+  const valid =
+    profile?.editTokenHash &&
+    typeof token === "string" &&
+    timingSafeEqual(
+      Buffer.from(hashToken(token)),
+      Buffer.from(profile.editTokenHash)
+    );
+  if (!valid) {
+    throw new ProfileStoreError("This edit link is not valid", 403);
+  }
+  return profile;
+};
+
+/**
+ * Look up a profile with its edit token, whatever its status.
+ */
+export const getOwnProfile = (id, token) =>
+  withLock(async () => toPublic(findOwnProfile(await readStore(), id, token)));
+
+/**
+ * Let a contributor change their own `name`, `tagline` or `role`. An empty
+ * tagline removes it. Edits to an approved profile take it off the wall
+ * and back into the moderation queue until an admin approves it again.
+ */
+export const editOwnProfile = (id, token, changes) =>
+  withLock(async () => {
+    const store = await readStore();
+    const profile = findOwnProfile(store, id, token);
+    const before = { ...profile };
+
+    if (changes.name !== undefined) {
+      profile.name = sanitizeName(changes.name);
+    }
+    if (changes.tagline !== undefined) {
+      const tagline = sanitizeTagline(changes.tagline);
+      if (tagline) {
+        profile.tagline = tagline;
+      } else {
+        delete profile.tagline;
+      }
+    }
+    if (changes.role !== undefined) {
+      if (!ROLE_IDS.includes(changes.role)) {
+        throw new ProfileStoreError("Unknown contributor role");
+      }
+      profile.role = changes.role;
+    }
+
+    const changed = ["name", "tagline", "role"].some(
+      (field) => profile[field] !== before[field]
+    );
+    if (!changed) return toPublic(profile);
+    if (profile.status === "approved") {
+      profile.status = "pending";
+    }
+
+    await writeStore(store);
+    publishVisibility(before, profile);
+    return toPublic(profile);
+  });
+
+/**
+ * Let a contributor take their own profile down.
+ */
+export const removeOwnProfile = (id, token) =>
+  withLock(async () => {
+    const store = await readStore();
+    const profile = findOwnProfile(store, id, token);
+    store.profiles = store.profiles.filter((entry) => entry !== profile);
+
+    await writeStore(store);
+    publishVisibility(profile, null);
+    return toPublic(profile);
+  });
+
+export const listBlocked = () =>
+  withLock(async () => (await readStore()).blocked);
+
+/**
+ * Block an account so it can't be submitted again. Any of its profiles
+ * already in the store are removed.
+ */
+export const blockAccount = (provider, username) =>
+  withLock(async () => {
+    const key = profileKey({ provider, username });
+    if (!key || !PROVIDER_IDS.includes(provider)) {
+      throw new ProfileStoreError("A provider and username are required");
+    }
+
+    const store = await readStore();
+    if (!store.blocked.includes(key)) {
+      store.blocked.push(key);
+    }
+    const removed = store.profiles.filter(
+      (profile) => profileKey(profile) === key
+    );
+    store.profiles = store.profiles.filter(
+      (profile) => profileKey(profile) !== key
+    );
+
+    await writeStore(store);
+    removed.forEach((profile) => publishVisibility(profile, null));
+    return key;
+  });
+
+export const unblockAccount = (key) =>
+  withLock(async () => {
+    const store = await readStore();
+    store.blocked = store.blocked.filter((entry) => entry !== key);
+    await writeStore(store);
+    return key;
+  });
@@ -0,0 +1,42 @@
+import { ProviderError, resolveProfile } from "./providers";
+import { DEFAULT_PROVIDER } from "./providers/meta";
+
+/**
+ * Profile submissions
+ *
+ * Turns what the add form sends into the profile the store keeps. Forge
+ * profiles are looked up again on the server from `provider` and `handle`,
+ * so the stored name, links and avatar always come from the provider and a
+ * submission can't claim someone else's account. Manual entries keep only
+ * the fields a person fills in.
+ */
+
+export const resolveSubmission = async (body) => {
+  if (!body || typeof body !== "object") {
+    throw new ProviderError("Profile payload must be an object", 400);
+  }
+
+  const { provider = DEFAULT_PROVIDER, role, tagline } = body;
+
+  if (provider === "manual") {
+    return {
+      provider,
+      name: body.name,
+      profileUrl: body.profileUrl,
+      avatarUpload: body.avatarUpload,
+      role,
+      tagline,
+    };
+  }
+
+  const profile = await resolveProfile(provider, body.handle);
+  return {
+    provider,
+    name: profile.name,
+    username: profile.login,
+    profileUrl: profile.profileUrl,
+    avatarUrl: profile.avatarUrl,
+    role,
+    tagline,
+  };
+};
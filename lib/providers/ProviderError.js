@@ -0,0 +1,13 @@
+/**
+ * Error thrown when a provider can't resolve a handle.
+ * `status` is the HTTP status the route handler should respond with and
+ * `retryAfter` (seconds) is set when the provider is rate limiting us.
+ */
+export class ProviderError extends Error {
+  constructor(message, status = 502, retryAfter) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
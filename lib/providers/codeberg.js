@@ -0,0 +1,29 @@
+import { ProviderError } from "./ProviderError";
+import { fetchJson } from "./fetchJson";
+import { getProvider } from "./meta";
+
+const API_URL = (
+  process.env.CODEBERG_API_URL || "https://codeberg.org/api/v1"
+).replace(/\/+$/, "");
+
+const USERNAME_PATTERN = getProvider("codeberg").handlePattern;
+
+export const resolve = async (username) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new ProviderError("Invalid Codeberg username", 400);
+  }
+
+  const user = await fetchJson(
+    `${API_URL}/users/${encodeURIComponent(username)}`
+  );
+  if (!user) {
+    throw new ProviderError("Codeberg user not found", 404);
+  }
+
+  return {
+    name: user.full_name || user.login,
+    login: user.login,
+    avatarUrl: user.avatar_url,
+    profileUrl: user.html_url,
+  };
+};
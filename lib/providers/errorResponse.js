@@ -0,0 +1,23 @@
+import { NextResponse } from "next/server";
+import { ProviderError } from "./ProviderError";
+
+/**
+ * Turn a failed provider lookup into a JSON error response, forwarding
+ * `Retry-After` when the upstream rate limit is exhausted.
+ */
+export const providerErrorResponse = (err) => {
+  if (err instanceof ProviderError) {
+    const headers = err.retryAfter
+      ? { "Retry-After": String(err.retryAfter) }
+      : undefined;
+    return NextResponse.json(
+      { error: err.message, retryAfter: err.retryAfter },
+      { status: err.status, headers }
+    );
+  }
+  console.error("Profile lookup error:", err);
+  return NextResponse.json(
+    { error: "Failed to fetch profile data" },
+    { status: 500 }
+  );
+};
@@ -0,0 +1,52 @@
+import { ProviderError } from "./ProviderError";
+
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+const cache = new Map();
+
+/**
+ * Fetch JSON from a provider API with a small in-memory TTL cache.
+ * Resolves to `null` on 404 so each provider can word its own "not found".
+ */
+export const fetchJson = async (url, { headers } = {}) => {
+  const cached = cache.get(url);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+    return cached.data;
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      headers: { Accept: "application/json", ...headers },
+      cache: "no-store",
+    });
+  } catch {
+    if (cached) return cached.data;
+    throw new ProviderError("Could not reach the profile provider", 502);
+  }
+
+  if (response.status === 404) return null;
+
+  if (response.status === 429) {
+    if (cached) return cached.data;
+    const retryAfter = Number(response.headers.get("retry-after"));
+    throw new ProviderError(
+      "Provider rate limit exceeded, please try again later",
+      429,
+      retryAfter || undefined
+    );
+  }
+
+  if (!response.ok) {
+    throw new ProviderError("Failed to fetch profile data", 502);
+  }
+
+  const data = await response.json();
+  cache.delete(url);
+  cache.set(url, { data, fetchedAt: Date.now() });
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  return data;
+};
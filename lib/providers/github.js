@@ -0,0 +1,3 @@
+import { getGitHubUser } from "../github";
+
+export const resolve = (username) => getGitHubUser(username);
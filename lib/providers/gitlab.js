@@ -0,0 +1,31 @@
+import { ProviderError } from "./ProviderError";
+import { fetchJson } from "./fetchJson";
+import { getProvider } from "./meta";
+
+const API_URL = (
+  process.env.GITLAB_API_URL || "https://gitlab.com/api/v4"
+).replace(/\/+$/, "");
+
+const USERNAME_PATTERN = getProvider("gitlab").handlePattern;
+
+export const resolve = async (username) => {
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new ProviderError("Invalid GitLab username", 400);
+  }
+
+  // The users endpoint filters by exact username and returns a list
+  const users = await fetchJson(
+    `${API_URL}/users?username=${encodeURIComponent(username)}`
+  );
+  const user = Array.isArray(users) ? users[0] : null;
+  if (!user) {
+    throw new ProviderError("GitLab user not found", 404);
+  }
+
+  return {
+    name: user.name || user.username,
+    login: user.username,
+    avatarUrl: user.avatar_url,
+    profileUrl: user.web_url,
+  };
+};
@@ -0,0 +1,36 @@
+import { createHash } from "crypto";
+import { ProviderError } from "./ProviderError";
+import { fetchJson } from "./fetchJson";
+import { getProvider } from "./meta";
+
+const API_URL = (
+  process.env.GRAVATAR_API_URL || "https://api.gravatar.com/v3"
+).replace(/\/+$/, "");
+
+const EMAIL_PATTERN = getProvider("gravatar").handlePattern;
+
+// Gravatar identifies profiles by the SHA-256 of the normalized email, so
+// the address itself never leaves the server or lands in the store
+const hashEmail = (email) =>
+  createHash("sha256").update(email.trim().toLowerCase()).digest("hex");
+
+export const resolve = async (email) => {
+  if (!EMAIL_PATTERN.test(email)) {
+    throw new ProviderError("Invalid email address", 400);
+  }
+
+  const hash = hashEmail(email);
+  const profile = await fetchJson(`${API_URL}/profiles/${hash}`);
+  if (!profile) {
+    throw new ProviderError("Gravatar profile not found", 404);
+  }
+
+  const profileUrl = profile.profile_url || `https://gravatar.com/${hash}`;
+
+  return {
+    name: profile.display_name || "Gravatar user",
+    login: new URL(profileUrl).pathname.replace(/^\/+/, "") || hash,
+    avatarUrl: profile.avatar_url || `https://gravatar.com/avatar/${hash}?s=200`,
+    profileUrl,
+  };
+};
@@ -0,0 +1,36 @@
+import { ProviderError } from "./ProviderError";
+import * as codeberg from "./codeberg";
+import * as github from "./github";
+import * as gitlab from "./gitlab";
+import * as gravatar from "./gravatar";
+
+/**
+ * Profile providers
+ *
+ * Each provider resolves a handle (username or email) to the normalized
+ * `{ name, login, avatarUrl, profileUrl }` shape the wall stores. Adding a
+ * provider means adding its metadata to `meta.js` and a resolver here.
+ */
+const RESOLVERS = {
+  github,
+  gitlab,
+  codeberg,
+  gravatar,
+};
+
+export { ProviderError };
+
+export const resolveProfile = async (providerId, handle) => {
+  // Own keys only, so names like `constructor` aren't taken for providers
+  if (!Object.hasOwn(RESOLVERS, providerId)) {
+    throw new ProviderError("Unknown profile provider", 400);
+  }
+
+  const trimmed = typeof handle === "string" ? handle.trim() : "";
+  if (!trimmed) {
+    throw new ProviderError("Please enter a handle to look up", 400);
+  }
+
+  const profile = await RESOLVERS[providerId].resolve(trimmed);
+  return { ...profile, provider: providerId };
+};
@@ -0,0 +1,53 @@
+/**
+ * Profile provider metadata
+ *
+ * Client-safe description of every place a contributor profile can come
+ * from. The server-side resolvers live next to this file in `index.js`.
+ *
+ * `handlePattern` is the provider's own rule for what a handle looks like,
+ * checked in the add form before a lookup and again by the resolver.
+ */
+
+export const DEFAULT_PROVIDER = "github";
+
+export const PROVIDERS = [
+  {
+    id: "github",
+    label: "GitHub",
+    handleLabel: "GitHub Username",
+    placeholder: "Enter GitHub username (e.g., torvalds)",
+    // Alphanumerics and single inner hyphens, max 39
+    handlePattern: /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i,
+  },
+  {
+    id: "gitlab",
+    label: "GitLab",
+    handleLabel: "GitLab Username",
+    placeholder: "Enter GitLab username (e.g., sytses)",
+    handlePattern: /^[a-z\d_.][a-z\d_.-]{0,254}$/i,
+  },
+  {
+    id: "codeberg",
+    label: "Codeberg",
+    handleLabel: "Codeberg Username",
+    placeholder: "Enter Codeberg username",
+    handlePattern: /^[a-z\d_.-]{1,40}$/i,
+  },
+  {
+    id: "gravatar",
+    label: "Gravatar",
+    handleLabel: "Gravatar Email",
+    placeholder: "Enter the email your Gravatar uses",
+    handlePattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  },
+  {
+    // Manual entries skip the lookup entirely
+    id: "manual",
+    label: "Manual",
+  },
+];
+
+export const PROVIDER_IDS = PROVIDERS.map((provider) => provider.id);
+
+export const getProvider = (id) =>
+  PROVIDERS.find((provider) => provider.id === id);
@@ -0,0 +1,98 @@
+/**
+ * Rate limiting
+ *
+ * In-memory token buckets keyed by client IP. Each bucket starts full,
+ * every request takes a token and tokens trickle back at a steady rate, so
+ * short bursts are fine but a sustained flood is turned away. Buckets live
+ * in the server process; a deployment with several instances gets one set
+ * of buckets per instance.
+ */
+
+// Stop tracking idle clients once this many buckets are held
+const MAX_BUCKETS = 10000;
+
+// Reverse proxies in front of the app that append to `X-Forwarded-For`
+const trustedHops = () => {
+  const hops = Number.parseInt(process.env.TRUST_PROXY, 10);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+};
+
+// Key shared by every client when no proxy is trusted
+const UNTRUSTED_KEY = "direct";
+
+/**
+ * The client's address. Each trusted proxy appends the address it was
+ * reached from to `X-Forwarded-For`, so the client is the right-most entry
+ * no trusted proxy wrote; entries further left came from the client and
+ * are ignored.
+ *
+ * Without `TRUST_PROXY` the header can't be believed: Next.js only fills
+ * it in with the connection address when the request arrived without one,
+ * so a client can send any address it likes. Every client then shares one
+ * key, which keeps the limit from being dodged at the cost of one client
+ * using up everyone's allowance.
+ */
+export const clientIp = (request) => {
+  const hops = trustedHops();
+  if (!hops) return UNTRUSTED_KEY;
+
+  const forwarded = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (!forwarded.length) return UNTRUSTED_KEY;
+  return forwarded[Math.max(forwarded.length - hops, 0)];
+};
+
+/**
+ * Create a limiter allowing `capacity` requests in a burst, refilled at one
+ * token every `refillMs` milliseconds. `take(key)` resolves whether the
+ * request may go ahead and, if not, how many seconds until it may.
+ * `refund(key)` gives back a token taken for a request that didn't count.
+ */
+export const createRateLimiter = ({ capacity, refillMs }) => {
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    const earned = (now - bucket.updatedAt) / refillMs;
+    bucket.tokens = Math.min(capacity, bucket.tokens + earned);
+    bucket.updatedAt = now;
+  };
+
+  // Full buckets carry no state worth keeping
+  const prune = (now) => {
+    buckets.forEach((bucket, key) => {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    });
+  };
+
+  const take = (key) => {
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      if (buckets.size >= MAX_BUCKETS) prune(now);
+      bucket = { tokens: capacity, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+
+    refill(bucket, now);
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0 };
+    }
+    return {
+      allowed: false,
+      retryAfter: Math.ceil(((1 - bucket.tokens) * refillMs) / 1000),
+    };
+  };
+
+  const refund = (key) => {
+    const bucket = buckets.get(key);
+    if (!bucket) return;
+    refill(bucket, Date.now());
+    bucket.tokens = Math.min(capacity, bucket.tokens + 1);
+  };
+
+  return { take, refund };
+};
@@ -0,0 +1,185 @@
+/**
+ * JSON requests
+ *
+ * Client-side `fetch` wrapper for the add-profile flow. Every attempt has a
+ * timeout, transient failures are retried with exponential backoff, and
+ * failures come back as typed errors so the form can say what actually
+ * went wrong:
+ *
+ * - `RateLimitError` carries `resetAt`, the time the limit lifts
+ * - `OfflineError` means the browser has no connection
+ * - `TimeoutError` means no answer arrived in time
+ * - `InvalidHandleError` means the handle can't exist on the provider
+ * - `RequestError` covers everything else, with the response `status`
+ */
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 4000;
+// Rate limits lifting this soon are waited out rather than reported
+const MAX_RATE_LIMIT_WAIT_MS = 5000;
+
+export class RequestError extends Error {
+  constructor(message, { status, retryable = false } = {}) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export class RateLimitError extends RequestError {
+  constructor(message, resetAt) {
+    super(message, { status: 429 });
+    this.name = "RateLimitError";
+    this.resetAt = resetAt;
+  }
+}
+
+export class OfflineError extends RequestError {
+  constructor(message = "You appear to be offline") {
+    super(message);
+    this.name = "OfflineError";
+  }
+}
+
+export class TimeoutError extends RequestError {
+  constructor(
+    message = "The server took too long to answer. Please try again."
+  ) {
+    super(message, { retryable: true });
+    this.name = "TimeoutError";
+  }
+}
+
+export class InvalidHandleError extends RequestError {
+  constructor(message) {
+    super(message, { status: 400 });
+    this.name = "InvalidHandleError";
+  }
+}
+
+const isOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Resolve after `ms`, or reject with the abort reason once `signal` aborts.
+ */
+export const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    const abort = () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+
+// `Retry-After` is seconds or an HTTP date; GitHub-style
+// `X-RateLimit-Reset` is epoch seconds; our own routes also send
+// `retryAfter` in the body
+const resetTimeOf = (response, data) => {
+  const retryAfter = response.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Date.now() + seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return date;
+  }
+  const reset = Number(response.headers.get("x-ratelimit-reset"));
+  if (reset) return reset * 1000;
+  if (data.retryAfter) return Date.now() + data.retryAfter * 1000;
+  return null;
+};
+
+const attempt = async (url, init, timeout, signal) => {
+  if (isOffline()) throw new OfflineError();
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abort = () => controller.abort();
+  signal?.addEventListener("abort", abort, { once: true });
+
+  try {
+    let response;
+    let data;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+      data = await response.json().catch(() => ({}));
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      if (timedOut) throw new TimeoutError();
+      if (isOffline()) throw new OfflineError();
+      throw new RequestError("Could not reach the server. Please try again.", {
+        retryable: true,
+      });
+    }
+
+    if (response.ok) return data;
+
+    const message = data.error || `Request failed (${response.status})`;
+    if (response.status === 429) {
+      throw new RateLimitError(message, resetTimeOf(response, data));
+    }
+    throw new RequestError(message, {
+      status: response.status,
+      retryable: response.status >= 500,
+    });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", abort);
+  }
+};
+
+// How long to wait before retry number `count`, or null to give up
+const retryDelay = (err, count) => {
+  if (err instanceof RateLimitError) {
+    const wait = (err.resetAt ?? Infinity) - Date.now();
+    return wait <= MAX_RATE_LIMIT_WAIT_MS ? Math.max(wait, 0) : null;
+  }
+  if (!err.retryable) return null;
+  const backoff = Math.min(BACKOFF_BASE_MS * 2 ** count, BACKOFF_MAX_MS);
+  // Jitter so clients that failed together don't retry together
+  return backoff / 2 + Math.random() * (backoff / 2);
+};
+
+/**
+ * Fetch `url` and resolve to its JSON body. Takes the usual `fetch`
+ * options plus `timeout` (ms per attempt) and `retries`, the number of
+ * extra attempts after a transient failure. Requests that change state
+ * should pass `retries: 0` unless repeating them is harmless.
+ */
+export const requestJson = async (
+  url,
+  {
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    signal,
+    ...init
+  } = {}
+) => {
+  for (let count = 0; ; count++) {
+    try {
+      return await attempt(url, init, timeout, signal);
+    } catch (err) {
+      const wait =
+        err instanceof RequestError && count < retries
+          ? retryDelay(err, count)
+          : null;
+      if (wait === null) throw err;
+      await delay(wait, signal);
+    }
+  }
+};
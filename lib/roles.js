@@ -0,0 +1,21 @@
+/**
+ * Contributor roles
+ *
+ * Client-safe list of the roles a profile can carry. Each role has its own
+ * border color on the wall and a bubble weight for `weightBy="role"`.
+ * Profiles stored without a role count as the default one.
+ */
+
+export const DEFAULT_ROLE = "contributor";
+
+export const ROLES = [
+  { id: "maintainer", label: "Maintainer", color: "#f59e0b", weight: 4 },
+  { id: "contributor", label: "Contributor", color: "#3b82f6", weight: 1 },
+  { id: "sponsor", label: "Sponsor", color: "#ec4899", weight: 3 },
+  { id: "designer", label: "Designer", color: "#10b981", weight: 2 },
+];
+
+export const ROLE_IDS = ROLES.map((role) => role.id);
+
+export const getRole = (id) =>
+  ROLES.find((role) => role.id === id) || getRole(DEFAULT_ROLE);
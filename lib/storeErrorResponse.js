@@ -0,0 +1,17 @@
+import { NextResponse } from "next/server";
+import { ProfileStoreError } from "./profileStore";
+
+/**
+ * Turn a failed store operation into a JSON error response. Unexpected
+ * errors are logged and hidden behind a generic message.
+ */
+export const storeErrorResponse = (err) => {
+  if (err instanceof ProfileStoreError) {
+    return NextResponse.json({ error: err.message }, { status: err.status });
+  }
+  console.error("Profile store error:", err);
+  return NextResponse.json(
+    { error: "Something went wrong, please try again" },
+    { status: 500 }
+  );
+};
@@ -0,0 +1,149 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+import { NextResponse } from "next/server";
+import { clientIp, createRateLimiter } from "./rateLimit";
+import { HONEYPOT_FIELD, MIN_FILL_MS } from "./submissionMeta";
+
+/**
+ * Submission guard
+ *
+ * Spam checks for public profile submissions, run before anything touches
+ * the store:
+ *
+ * - a per-IP token bucket caps how often one address can submit
+ * - a honeypot field, hidden from people, must come back empty
+ * - a signed form token records when the form was opened, and forms sent
+ *   back faster than a person could fill them in are refused. Each token
+ *   is good for one submission.
+ *
+ * Form tokens are signed with `SUBMISSION_SECRET`. Without it a random
+ * secret is generated per server process, so open forms stop working
+ * after a restart.
+ */
+
+const MAX_FORM_AGE_MS = 60 * 60 * 1000;
+
+// Nonces of form tokens already used, mapped to when the token expires
+const spentNonces = new Map();
+
+// Five submissions in a burst, then one more every two minutes
+const limiter = createRateLimiter({ capacity: 5, refillMs: 2 * 60 * 1000 });
+
+// Survives dev-server module reloads so issued tokens stay valid
+const secret = () => {
+  if (process.env.SUBMISSION_SECRET) return process.env.SUBMISSION_SECRET;
+  globalThis.__submissionSecret ||= randomBytes(32).toString("hex");
+  return globalThis.__submissionSecret;
+};
+
+const sign = (value) =>
+  createHmac("sha256", secret()).update(value).digest("hex");
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Error thrown when a submission fails a spam check. `retryAfter` is set
+ * (in seconds) when the client is rate limited.
+ */
+export class SubmissionError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = "SubmissionError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Issue a single-use form token stamped with the current time.
+ */
+export const createFormToken = () => {
+  const payload = `${Date.now()}.${randomBytes(16).toString("hex")}`;
+  return `${payload}.${sign(payload)}`;
+};
+
+// `{ issuedAt, nonce }` for a token we signed, otherwise null
+const readFormToken = (token) => {
+  const [issuedAt, nonce, signature] =
+    typeof token === "string" ? token.split(".") : [];
+  if (
+    !issuedAt ||
+    !nonce ||
+    !signature ||
+    !safeEqual(signature, sign(`${issuedAt}.${nonce}`))
+  ) {
+    return null;
+  }
+  return { issuedAt: Number(issuedAt), nonce };
+};
+
+// Remember a nonce until its token would have expired anyway
+const spendNonce = (nonce, expiresAt) => {
+  const now = Date.now();
+  spentNonces.forEach((expiry, key) => {
+    if (expiry <= now) spentNonces.delete(key);
+  });
+  spentNonces.set(nonce, expiresAt);
+};
+
+/**
+ * Run every spam check against a submission. Throws a `SubmissionError`
+ * for the first one that fails. Otherwise returns a `release` function
+ * that hands the rate-limit token and form token back, for submissions
+ * turned down later (an unknown handle, a duplicate) so a corrected one
+ * isn't held up.
+ */
+export const checkSubmission = (request, body) => {
+  const ip = clientIp(request);
+  const { allowed, retryAfter } = limiter.take(ip);
+  if (!allowed) {
+    throw new SubmissionError(
+      "Too many submissions from your network",
+      429,
+      retryAfter
+    );
+  }
+
+  if (body?.[HONEYPOT_FIELD]) {
+    throw new SubmissionError(
+      "Your submission looked automated and was not accepted"
+    );
+  }
+
+  const token = readFormToken(body?.formToken);
+  const age = token && Date.now() - token.issuedAt;
+  if (!token || age > MAX_FORM_AGE_MS) {
+    throw new SubmissionError(
+      "This form has expired. Please close it and open it again."
+    );
+  }
+  if (age < MIN_FILL_MS) {
+    throw new SubmissionError(
+      "That was quicker than expected. Please check your details and submit again."
+    );
+  }
+  if (spentNonces.has(token.nonce)) {
+    throw new SubmissionError(
+      "This form was already submitted. Please close it and open it again."
+    );
+  }
+  spendNonce(token.nonce, token.issuedAt + MAX_FORM_AGE_MS);
+
+  return () => {
+    limiter.refund(ip);
+    spentNonces.delete(token.nonce);
+  };
+};
+
+export const submissionErrorResponse = (err) => {
+  const headers = err.retryAfter
+    ? { "Retry-After": String(err.retryAfter) }
+    : undefined;
+  return NextResponse.json(
+    { error: err.message, retryAfter: err.retryAfter },
+    { status: err.status, headers }
+  );
+};
@@ -0,0 +1,13 @@
+/**
+ * Submission form metadata
+ *
+ * Client-safe names shared by the add form and the server-side spam checks
+ * in `submissionGuard.js`.
+ */
+
+// Hidden from people, so only bots fill it in. The name is one browsers
+// won't autofill.
+export const HONEYPOT_FIELD = "company_fax";
+
+// Forms sent back sooner than this after their token was issued are refused
+export const MIN_FILL_MS = 3000;
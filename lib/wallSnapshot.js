@@ -0,0 +1,222 @@
+/**
+ * Wall snapshots
+ *
+ * Draws one frame of the contributor wall into a PNG or SVG file. A
+ * snapshot is `{ width, height, fontFamily, items }` in CSS pixels, where
+ * each item is `{ profile, x, y, angle, width, height, shape }` describing
+ * a card (or bubble) centered on `x`, `y`.
+ *
+ * Avatars are loaded through `/api/avatars` so the canvas never gets
+ * tainted by cross-origin images and can still be exported.
+ */
+
+import { avatarSrc } from "./avatars";
+import { getRole } from "./roles";
+
+export const EXPORT_FORMATS = ["png", "svg"];
+export const EXPORT_SCALES = [1, 2, 3];
+
+const BACKGROUND = "#000000";
+const TITLE_COLOR = "#4b5563";
+const PLACEHOLDER_COLOR = "#1f2937";
+const CARD_AVATAR_SIZE = 48;
+const CARD_GAP = 12;
+// Exports go up to 3x, so fetch the largest avatars
+const AVATAR_PIXELS = 128;
+
+const initialOf = (name) => (name.trim()[0] || "?").toUpperCase();
+
+// Where the avatar circle sits inside an item, relative to its center
+const avatarGeometry = (item) =>
+  item.shape === "bubble"
+    ? { cx: 0, cy: 0, radius: item.width / 2 }
+    : {
+        cx: -item.width / 2 + CARD_AVATAR_SIZE / 2,
+        cy: 0,
+        radius: CARD_AVATAR_SIZE / 2,
+      };
+
+const nameX = (item) => -item.width / 2 + CARD_AVATAR_SIZE + CARD_GAP;
+
+// Resolve to a loaded image, or null when the avatar can't be loaded
+const loadImage = (src) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+
+const readDataUrl = async (src) => {
+  try {
+    const response = await fetch(src);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    return await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  } catch {
+    return null;
+  }
+};
+
+// Load every avatar once, keyed by profile id
+const loadAll = async (items, load) => {
+  const profiles = items.map(({ profile }) => profile);
+  const loaded = await Promise.all(
+    profiles.map((profile) => load(avatarSrc(profile, AVATAR_PIXELS)))
+  );
+  return new Map(profiles.map((profile, index) => [profile.id, loaded[index]]));
+};
+
+const drawAvatar = (ctx, image, item, color) => {
+  const { cx, cy, radius } = avatarGeometry(item);
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.save();
+  ctx.clip();
+  if (image) {
+    // Crop to a centered square, like `object-cover`
+    const side = Math.min(image.naturalWidth, image.naturalHeight);
+    ctx.drawImage(
+      image,
+      (image.naturalWidth - side) / 2,
+      (image.naturalHeight - side) / 2,
+      side,
+      side,
+      cx - radius,
+      cy - radius,
+      radius * 2,
+      radius * 2
+    );
+  } else {
+    ctx.fillStyle = PLACEHOLDER_COLOR;
+    ctx.fill();
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.fillText(initialOf(item.profile.name), cx, cy);
+  }
+  ctx.restore();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = color;
+  ctx.stroke();
+  ctx.restore();
+};
+
+const renderPng = async (snapshot, scale) => {
+  const { width, height, fontFamily, items } = snapshot;
+  const images = await loadAll(items, loadImage);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = TITLE_COLOR;
+  ctx.font = `900 36px ${fontFamily}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("Contributors", width / 2, height / 2);
+
+  items.forEach((item) => {
+    const color = getRole(item.profile.role).color;
+    ctx.save();
+    ctx.translate(item.x, item.y);
+    ctx.rotate(item.angle);
+    ctx.font = `600 16px ${fontFamily}`;
+    drawAvatar(ctx, images.get(item.profile.id), item, color);
+    if (item.shape !== "bubble") {
+      ctx.fillStyle = "#ffffff";
+      ctx.textAlign = "left";
+      ctx.fillText(item.profile.name, nameX(item), 0);
+    }
+    ctx.restore();
+  });
+
+  const blob = await new Promise((resolve) =>
+    canvas.toBlob(resolve, "image/png")
+  );
+  if (!blob) {
+    throw new Error("Could not render the image");
+  }
+  return blob;
+};
+
+const escapeXml = (value) =>
+  value.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char]
+  );
+
+const renderSvg = async (snapshot, scale) => {
+  const { width, height, fontFamily, items } = snapshot;
+  // Avatars are embedded so the file stands on its own
+  const images = await loadAll(items, readDataUrl);
+  const font = escapeXml(fontFamily);
+
+  const shapes = items.map((item, index) => {
+    const { cx, cy, radius } = avatarGeometry(item);
+    const color = getRole(item.profile.role).color;
+    const image = images.get(item.profile.id);
+    const degrees = (item.angle * 180) / Math.PI;
+
+    const avatar = image
+      ? `<clipPath id="avatar-${index}"><circle cx="${cx}" cy="${cy}" r="${radius}"/></clipPath>` +
+        `<image href="${image}" x="${cx - radius}" y="${cy - radius}" width="${radius * 2}" height="${radius * 2}" preserveAspectRatio="xMidYMid slice" clip-path="url(#avatar-${index})"/>`
+      : `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${PLACEHOLDER_COLOR}"/>` +
+        `<text x="${cx}" y="${cy}" fill="#ffffff" text-anchor="middle" dominant-baseline="central">${escapeXml(initialOf(item.profile.name))}</text>`;
+    const border = `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${color}" stroke-width="2"/>`;
+    const name =
+      item.shape === "bubble"
+        ? `<title>${escapeXml(item.profile.name)}</title>`
+        : `<text x="${nameX(item)}" y="0" fill="#ffffff" font-weight="600" dominant-baseline="central">${escapeXml(item.profile.name)}</text>`;
+
+    return `<g transform="translate(${item.x} ${item.y}) rotate(${degrees})">${avatar}${border}${name}</g>`;
+  });
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}" font-family="${font}" font-size="16">`,
+    `<rect width="${width}" height="${height}" fill="${BACKGROUND}"/>`,
+    `<text x="${width / 2}" y="${height / 2}" fill="${TITLE_COLOR}" font-size="36" font-weight="900" text-anchor="middle" dominant-baseline="central">Contributors</text>`,
+    ...shapes,
+    "</svg>",
+  ].join("\n");
+
+  return new Blob([svg], { type: "image/svg+xml" });
+};
+
+/**
+ * Render `snapshot` and resolve to `{ blob, filename }`.
+ */
+export const exportWall = async (snapshot, { format = "png", scale = 2 }) => {
+  const blob =
+    format === "svg"
+      ? await renderSvg(snapshot, scale)
+      : await renderPng(snapshot, scale);
+  return { blob, filename: `umakeit-wall.${format === "svg" ? "svg" : "png"}` };
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};